@@ -10,6 +10,7 @@ class AudioManager {
         this.volume = 0.8; // Volumen de recepción
         this.micVolume = 0.8; // Volumen del micrófono
         this.isMuted = false; // Solo afecta transmisión, NO recepción
+        this.adminMuted = false; // Silenciado por un administrador: el servidor descarta nuestra voz
         this.isPushToTalk = false;
         this.isTransmitting = false;
         this.packetsReceived = 0;
@@ -49,7 +50,6 @@ class AudioManager {
             volumeSlider.value = this.volume * 100;
             volumeSlider.addEventListener('input', (e) => {
                 this.setVolume(e.target.value / 100);
-                console.log('Volume set to:', this.volume);
             });
         }
 
@@ -57,13 +57,14 @@ class AudioManager {
             micSlider.value = this.micVolume * 100;
             micSlider.addEventListener('input', (e) => {
                 this.setMicVolume(e.target.value / 100);
-                console.log('Mic volume set to:', this.micVolume);
             });
         }
     }
 
     setupKeyboardControls() {
         document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT') return;
+
             switch (e.code) {
                 case 'KeyT':
                     if (!e.repeat) this.toggleMicrophone();
@@ -72,7 +73,7 @@ class AudioManager {
                     if (!this.isPushToTalk && !e.repeat) {
                         this.isPushToTalk = true;
                         this.startTransmission();
-                        console.log('Push-to-talk started');
+                        DebugLog.log('audio', 'Push-to-talk: empieza');
                     }
                     break;
                 case 'KeyM':
@@ -85,7 +86,7 @@ class AudioManager {
             if (e.code === 'KeyV' && this.isPushToTalk) {
                 this.isPushToTalk = false;
                 this.stopTransmission();
-                console.log('Push-to-talk ended');
+                DebugLog.log('audio', 'Push-to-talk: termina');
             }
         });
     }
@@ -120,9 +121,7 @@ class AudioManager {
             this.isTransmitting = true;
             this.updateMicButton();
 
-            console.log('✅ Audio inicializado correctamente');
-            console.log('🎧 Volumen de recepción:', this.volume);
-            console.log('🎤 Volumen de micrófono:', this.micVolume);
+            DebugLog.log('audio', 'Audio inicializado, volumen de recepción', this.volume, 'de micrófono', this.micVolume);
 
         } catch (error) {
             console.error('❌ Error al acceder al micrófono:', error);
@@ -145,7 +144,7 @@ class AudioManager {
                     if (this.audioContext.state === 'suspended') {
                         await this.audioContext.resume();
                         this.updateStatus('contextState', 'Activo ✓');
-                        console.log('🔊 AudioContext resumed');
+                        DebugLog.log('audio', 'AudioContext reanudado');
                         document.removeEventListener('touchstart', resumeContext);
                         document.removeEventListener('click', resumeContext);
                     }
@@ -186,7 +185,7 @@ class AudioManager {
                 throw new Error('No supported audio format found');
             }
 
-            console.log('🎵 Using audio format:', selectedMimeType);
+            DebugLog.log('audio', 'Formato de audio:', selectedMimeType);
 
             this.mediaRecorder = new MediaRecorder(this.microphone, {
                 mimeType: selectedMimeType,
@@ -205,13 +204,13 @@ class AudioManager {
             this.mediaRecorder.onstart = () => {
                 this.updateStatus('micStatus', '🔴 Grabando');
                 this.setMicButtonRecording(true);
-                console.log('🎙️ MediaRecorder started');
+                DebugLog.log('audio', 'MediaRecorder en marcha');
             };
 
             this.mediaRecorder.onstop = () => {
                 this.updateStatus('micStatus', '⏹️ Detenido');
                 this.setMicButtonRecording(false);
-                console.log('🛑 MediaRecorder stopped');
+                DebugLog.log('audio', 'MediaRecorder detenido');
             };
 
             this.mediaRecorder.onerror = (event) => {
@@ -232,7 +231,7 @@ class AudioManager {
         if (this.mediaRecorder && this.mediaRecorder.state === 'inactive') {
             this.mediaRecorder.start(200);
             this.isRecording = true;
-            console.log('▶️ Recording started');
+            DebugLog.log('audio', 'Grabación iniciada');
         }
     }
 
@@ -241,7 +240,7 @@ class AudioManager {
             this.mediaRecorder.stop();
             this.isRecording = false;
             this.isTransmitting = false;
-            console.log('⏹️ Recording stopped');
+            DebugLog.log('audio', 'Grabación detenida');
         }
     }
 
@@ -253,7 +252,7 @@ class AudioManager {
             this.isTransmitting = true;
         }
         this.updateMicButton();
-        console.log('🎤 Microphone toggled. Recording:', this.isRecording, 'Transmitting:', this.isTransmitting);
+        DebugLog.log('audio', 'Micrófono: grabando', this.isRecording, 'transmitiendo', this.isTransmitting);
     }
 
     startTransmission() {
@@ -269,54 +268,51 @@ class AudioManager {
     toggleMute() {
         this.isMuted = !this.isMuted;
         this.updateMicButton();
-        console.log('🔇 Mute toggled:', this.isMuted);
+        DebugLog.log('audio', 'Silenciado:', this.isMuted);
     }
 
     setVolume(volume) {
         this.volume = Math.max(0, Math.min(1, volume));
-        console.log('🔊 Volume set to:', this.volume);
+        DebugLog.log('audio', 'Volumen de recepción:', this.volume);
     }
 
     setMicVolume(volume) {
         this.micVolume = Math.max(0, Math.min(1, volume));
-        console.log('🎙️ Mic volume set to:', this.micVolume);
+        DebugLog.log('audio', 'Volumen de micrófono:', this.micVolume);
     }
 
     async sendAudioChunk(audioBlob) {
+        if (this.adminMuted) return;
         if (this.isMuted) {
-            console.log('🔇 Audio muted, not sending');
+            DebugLog.log('audio', 'Silenciado, no se envía');
             return;
         }
 
         try {
             const arrayBuffer = await audioBlob.arrayBuffer();
-            this.socket.emit('audioData', arrayBuffer);
-            console.log('📤 Audio chunk sent, size:', arrayBuffer.byteLength);
+            this.socket.emit('audioStream', {data: arrayBuffer, timestamp: Date.now()});
+            DebugLog.log('audio', 'Fragmento enviado,', arrayBuffer.byteLength, 'bytes');
         } catch (error) {
             console.error('❌ Error al enviar audio:', error);
         }
     }
 
     setupSocketEvents() {
-        this.socket.on('audioData', (data) => {
-            console.log('📥 Audio data received from server');
+        this.socket.on('audioStream', (data) => {
+            DebugLog.log('audio', `Audio de ${data.playerName}${data.spectator ? ' (espectador)' : ''}`);
             this.packetsReceived++;
-            this.playAudio(data.audio);
-        });
-
-        // Debug adicional
-        this.socket.on('connect', () => {
-            console.log('🌐 Connected to server for audio');
+            this.playAudio(data.data);
         });
 
-        this.socket.on('disconnect', () => {
-            console.log('🔌 Disconnected from server');
+        this.socket.on('voiceMuted', (data) => {
+            this.adminMuted = data.muted;
+            if (this.adminMuted) this.stopRecording();
+            this.updateMicButton();
+            this.updateStatus('micStatus', this.adminMuted ? '🚫 Silenciado por un administrador' : 'Disponible');
         });
     }
 
     async playAudio(audioData) {
-        console.log('🔊 Attempting to play audio, volume:', this.volume);
-
         if (!this.audioContext) {
             console.error('❌ AudioContext no disponible');
             return;
@@ -327,7 +323,7 @@ class AudioManager {
             try {
                 await this.audioContext.resume();
                 this.updateStatus('contextState', 'Activo ✓');
-                console.log('🔊 AudioContext resumed for playback');
+                DebugLog.log('audio', 'AudioContext reanudado para reproducir');
             } catch (error) {
                 console.error('❌ Error al reanudar AudioContext:', error);
                 return;
@@ -335,7 +331,7 @@ class AudioManager {
         }
 
         try {
-            console.log('🎵 Decoding audio data, size:', audioData.byteLength);
+            DebugLog.log('audio', 'Decodificando', audioData.byteLength, 'bytes');
             const audioBuffer = await this.audioContext.decodeAudioData(audioData.slice(0));
 
             const source = this.audioContext.createBufferSource();
@@ -350,18 +346,16 @@ class AudioManager {
 
             source.start();
 
-            console.log('✅ Audio playing successfully, duration:', audioBuffer.duration, 'volume:', this.volume);
+            DebugLog.log('audio', 'Reproduciendo', audioBuffer.duration, 's a volumen', this.volume);
 
         } catch (error) {
-            console.error('❌ Error al reproducir audio:', error);
-            console.log('🔄 Trying fallback method...');
+            console.error('❌ Error al reproducir audio, se prueba con un elemento <audio>:', error);
             this.playAudioFallback(audioData);
         }
     }
 
     async playAudioFallback(audioData) {
         try {
-            console.log('🔄 Using fallback audio method');
             const blob = new Blob([audioData], {type: 'audio/webm'});
             const audioUrl = URL.createObjectURL(blob);
             const audio = new Audio(audioUrl);
@@ -373,7 +367,7 @@ class AudioManager {
                 URL.revokeObjectURL(audioUrl);
             });
 
-            console.log('✅ Fallback audio playing');
+            DebugLog.log('audio', 'Reproduciendo con el método alternativo');
 
         } catch (error) {
             console.error('❌ Error en método fallback:', error);
@@ -381,9 +375,8 @@ class AudioManager {
     }
 
     testAudioOutput() {
-        console.log('🧪 Testing audio output...');
         if (!this.audioContext) {
-            console.log('❌ No AudioContext for test');
+            console.error('❌ AudioContext no disponible para la prueba');
             return;
         }
 
@@ -399,7 +392,7 @@ class AudioManager {
         oscillator.start();
         oscillator.stop(this.audioContext.currentTime + 0.5);
 
-        console.log('🔊 Test tone played at volume:', this.volume * 0.3);
+        DebugLog.log('audio', 'Tono de prueba a volumen', this.volume * 0.3);
     }
 
     // Métodos de UI
@@ -419,7 +412,11 @@ class AudioManager {
     updateMicButton() {
         if (!this.micButton) return;
 
-        if (this.isMuted) {
+        if (this.adminMuted) {
+            this.micButton.textContent = '🚫';
+            this.micButton.className = 'audio-btn secondary';
+            this.micButton.title = 'Silenciado por un administrador';
+        } else if (this.isMuted) {
             this.micButton.textContent = '🔇';
             this.micButton.className = 'audio-btn secondary';
             this.micButton.title = 'Micrófono silenciado (M para activar)';
@@ -450,7 +447,7 @@ class AudioManager {
     }
 
     destroy() {
-        console.log('🧹 Cleaning up audio manager...');
+        DebugLog.log('audio', 'Cerrando el audio');
 
         if (this.mediaRecorder && this.isRecording) {
             this.mediaRecorder.stop();
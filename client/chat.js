@@ -0,0 +1,188 @@
+// Chat de texto: Enter para escribir; los comandos (/w, /team, /mute…) los interpreta el servidor
+const CHAT_VISIBLE_LINES = 8;
+const CHAT_FADE_AFTER = 10000; // ms en pantalla con el chat cerrado
+const CHAT_MAX_MESSAGES = 50;
+const CHAT_WIDTH = 420;
+const CHAT_LINE_HEIGHT = 18;
+
+const CHAT_CHANNELS = {
+    team: {label: '[Equipo] ', color: 'white'},
+    spectators: {label: '[Espectadores] ', color: '#b0b0b0'},
+    whisper: {color: '#e08cff'}
+};
+
+class Chat {
+    constructor(game) {
+        this.game = game;
+        this.socket = game.socket;
+        this.input = document.getElementById('chatInput');
+        this.messages = [];
+        this.typing = false;
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || this.typing || e.target.tagName === 'INPUT' || !this.available()) return;
+            e.preventDefault();
+            this.open();
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.send(this.input.value);
+                this.close();
+            } else if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+        this.input.addEventListener('blur', () => this.close());
+
+        this.socket.on('chatMessage', (message) => this.add(message));
+
+        // Lo último que se dijo en la sala, para quien acaba de llegar
+        this.socket.on('chatHistory', (messages) => {
+            this.messages = [];
+            messages.forEach(message => this.add(message));
+        });
+    }
+
+    // Solo dentro de una sala, y nunca viendo una repetición
+    available() {
+        return Boolean(this.game.lobby.roomCode) && !this.game.replay;
+    }
+
+    open() {
+        this.typing = true;
+        // Lo que se estuviera pulsando deja de mover el tanque mientras se escribe
+        this.game.keys = {};
+        this.input.style.display = 'block';
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.typing) return;
+        this.typing = false;
+        this.input.value = '';
+        this.input.style.display = 'none';
+        this.input.blur();
+    }
+
+    send(text) {
+        text = text.trim();
+        if (text === '') return;
+
+        this.socket.emit('chatMessage', text, (result) => {
+            if (result && !result.ok) this.add({channel: 'system', text: result.error});
+        });
+    }
+
+    add(message) {
+        this.messages.push({...message, receivedAt: Date.now()});
+        if (this.messages.length > CHAT_MAX_MESSAGES) this.messages.shift();
+    }
+
+    clear() {
+        this.messages = [];
+        this.close();
+    }
+
+    isMe(id) {
+        return id === this.game.myPlayerId || id === this.socket.id;
+    }
+
+    // Cabecera de color antes del texto: canal, remitente o destinatario
+    prefix(message) {
+        if (message.channel === 'system') return [];
+
+        const channel = CHAT_CHANNELS[message.channel] || {};
+        const sender = this.game.players.get(message.from.id);
+        const senderColor = sender ? sender.color : (channel.color || 'white');
+        const parts = [];
+
+        if (message.channel === 'whisper') {
+            const label = this.isMe(message.from.id) ? `[A ${message.to.name}] ` : `[De ${message.from.name}] `;
+            parts.push({text: label, color: channel.color});
+            return parts;
+        }
+        if (channel.label) {
+            const team = message.channel === 'team' ? TEAMS[message.team] : null;
+            parts.push({text: channel.label, color: team ? team.color : channel.color});
+        }
+        parts.push({text: `${message.from.name}: `, color: senderColor});
+        return parts;
+    }
+
+    textColor(message) {
+        if (message.channel === 'system') return '#ffd54f';
+        if (message.channel === 'whisper') return CHAT_CHANNELS.whisper.color;
+        return 'white';
+    }
+
+    // Parte el texto en renglones; el primero empieza después de la cabecera
+    wrap(ctx, text, indent) {
+        const lines = [];
+        let line = '';
+        let width = CHAT_WIDTH - indent;
+
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > width) {
+                lines.push(line);
+                line = word;
+                width = CHAT_WIDTH;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+        return lines;
+    }
+
+    // Abajo a la izquierda, sobre la ayuda de controles; con el chat abierto se ve también lo antiguo
+    draw() {
+        if (!this.game.lobby.roomCode && !this.game.replay) return;
+
+        const ctx = this.game.ctx;
+        const now = Date.now();
+        ctx.font = '13px Arial';
+        ctx.textAlign = 'left';
+
+        const rows = [];
+        this.messages
+            .filter(message => this.typing || now - message.receivedAt < CHAT_FADE_AFTER)
+            .forEach(message => {
+                const alpha = this.typing ? 1 : Math.min(1, (CHAT_FADE_AFTER - (now - message.receivedAt)) / 1000);
+                const prefix = this.prefix(message);
+                const indent = prefix.reduce((sum, part) => sum + ctx.measureText(part.text).width, 0);
+
+                this.wrap(ctx, message.text, indent).forEach((text, index) => {
+                    rows.push({alpha, prefix: index === 0 ? prefix : [], text, color: this.textColor(message)});
+                });
+            });
+
+        const visible = rows.slice(-CHAT_VISIBLE_LINES);
+        const left = 14;
+        let y = this.game.canvas.height - 400 - (visible.length - 1) * CHAT_LINE_HEIGHT;
+
+        visible.forEach(row => {
+            ctx.globalAlpha = row.alpha;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(left - 4, y - 13, CHAT_WIDTH + 8, CHAT_LINE_HEIGHT);
+
+            let x = left;
+            row.prefix.forEach(part => {
+                ctx.fillStyle = part.color;
+                ctx.fillText(part.text, x, y);
+                x += ctx.measureText(part.text).width;
+            });
+            ctx.fillStyle = row.color;
+            ctx.fillText(row.text, x, y);
+
+            y += CHAT_LINE_HEIGHT;
+        });
+        ctx.globalAlpha = 1;
+    }
+}
@@ -0,0 +1,111 @@
+// Mensajes de depuración del cliente: apagados por defecto, se encienden por subsistema desde el panel (F3)
+// y la elección se recuerda en este navegador. Los errores se siguen mostrando siempre con console.error
+const DEBUG_SUBSYSTEMS = {
+    net: 'Red',
+    game: 'Juego',
+    audio: 'Audio'
+};
+const DEBUG_STORAGE_KEY = 'tankDebug';
+
+const DebugLog = {
+    enabled: new Set(),
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DEBUG_STORAGE_KEY) || '[]');
+            this.enabled = new Set(saved.filter(subsystem => DEBUG_SUBSYSTEMS[subsystem]));
+        } catch (error) {
+            this.enabled = new Set();
+        }
+    },
+
+    isEnabled(subsystem) {
+        return this.enabled.has(subsystem);
+    },
+
+    set(subsystem, on) {
+        if (on) {
+            this.enabled.add(subsystem);
+        } else {
+            this.enabled.delete(subsystem);
+        }
+        localStorage.setItem(DEBUG_STORAGE_KEY, JSON.stringify(Array.from(this.enabled)));
+    },
+
+    log(subsystem, ...args) {
+        if (this.enabled.has(subsystem)) console.log(`[${subsystem}]`, ...args);
+    }
+};
+
+DebugLog.load();
+
+// Panel con el estado de la conexión y la simulación, y los interruptores del registro
+class DebugOverlay {
+    constructor(game) {
+        this.game = game;
+        this.visible = false;
+        this.element = document.getElementById('debugOverlay');
+        this.stats = document.getElementById('debugStats');
+        this.timer = null;
+
+        this.buildToggles();
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'F3' || e.target.tagName === 'INPUT') return;
+            e.preventDefault();
+            this.toggle();
+        });
+    }
+
+    buildToggles() {
+        const toggles = document.getElementById('debugToggles');
+        Object.entries(DEBUG_SUBSYSTEMS).forEach(([subsystem, label]) => {
+            const item = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = DebugLog.isEnabled(subsystem);
+            checkbox.addEventListener('change', () => {
+                DebugLog.set(subsystem, checkbox.checked);
+                checkbox.blur();
+            });
+            item.appendChild(checkbox);
+            item.appendChild(document.createTextNode(` Registro de ${label.toLowerCase()}`));
+            toggles.appendChild(item);
+        });
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.element.style.display = this.visible ? 'block' : 'none';
+
+        clearInterval(this.timer);
+        if (this.visible) {
+            this.update();
+            this.timer = setInterval(() => this.update(), 500);
+        }
+    }
+
+    update() {
+        const game = this.game;
+        const audio = game.audio;
+        const lines = [
+            ['FPS', document.getElementById('fps').textContent],
+            ['Conexión', game.socket.connected ? (game.socket.io && game.socket.io.engine ? game.socket.io.engine.transport.name : 'sí') : 'no'],
+            ['Ida y vuelta', `${Math.round(game.clock.rtt)} ms`],
+            ['Desfase del reloj', `${Math.round(game.clock.offset)} ms`],
+            ['Interpolación', `${game.interpolationDelay} ms`],
+            ['Último snapshot', game.lastSnapshotSeq === null ? '-' : game.lastSnapshotSeq],
+            ['Snapshots pedidos de nuevo', game.snapshotResyncs],
+            ['Entradas sin confirmar', game.pendingInputs.length],
+            ['Tanques / balas', `${game.players.size} / ${game.bullets.size}`],
+            ['Voz enviada / recibida', audio ? `${audio.packetsTransmitted} / ${audio.packetsReceived}` : '-']
+        ];
+
+        this.stats.innerHTML = '';
+        lines.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.textContent = `${label}: ${value}`;
+            this.stats.appendChild(row);
+        });
+    }
+}
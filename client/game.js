@@ -1,30 +1,116 @@
+// Equipos de los modos por equipos, con los colores clásicos de Battle City
+const TEAMS = {
+    1: {name: 'Amarillo', color: '#f0c000'},
+    2: {name: 'Verde', color: '#3cb371'}
+};
+
+// Qué cuenta el marcador de cada modo por equipos
+const SCORE_LABELS = {
+    'base-defense': '🦅 Vidas',
+    'team-deathmatch': '💀 Bajas',
+    'capture-the-flag': '🚩 Capturas'
+};
+
+// Objetos: icono y nombre para el aviso al recogerlos
+const POWER_UPS = {
+    star: {icon: '⭐', name: 'Estrella', color: '#f5d142'},
+    helmet: {icon: '⛑️', name: 'Casco', color: '#6cb4ff'},
+    grenade: {icon: '💣', name: 'Granada', color: '#ff6b5a'},
+    shovel: {icon: '⛏️', name: 'Pala', color: '#c8a165'},
+    timer: {icon: '⏱️', name: 'Reloj', color: '#9be7ff'},
+    tank: {icon: '🛡️', name: 'Vida extra', color: '#7ddc7d'}
+};
+
+// Aspectos del tanque: tamaño del casco, forma de la torre y cañones (desplazamiento lateral de cada uno)
+const TANK_SKINS = {
+    classic: {name: 'Clásico', hull: [30, 20], turret: {shape: 'round', size: 12}, barrels: [0], barrel: [20, 4]},
+    heavy: {name: 'Pesado', hull: [32, 24], turret: {shape: 'square', size: 11}, barrels: [0], barrel: [18, 6]},
+    light: {name: 'Ligero', hull: [26, 16], turret: {shape: 'round', size: 9}, barrels: [0], barrel: [24, 3]},
+    twin: {name: 'Doble cañón', hull: [30, 20], turret: {shape: 'round', size: 11}, barrels: [-4, 4], barrel: [20, 3]}
+};
+
+// Icono del arma en el registro de bajas
+const WEAPON_ICONS = {
+    cannon: '➤',
+    heavyCannon: '⭐➤',
+    grenade: '💣'
+};
+
+const FLAG_MESSAGES = {
+    taken: 'ha cogido la bandera',
+    dropped: 'ha perdido la bandera',
+    returned: 'ha devuelto la bandera',
+    captured: '¡ha capturado la bandera!'
+};
+
+// ms de más sobre el ritmo de disparo del servidor: con la variación de la red, un disparo justo al límite se perdería
+const FIRE_MARGIN = 30;
+
 class Game {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
-        this.socket = io();
+        // Con ?replay=<id> no se conecta al juego: los eventos salen de una grabación
+        const replayId = new URLSearchParams(window.location.search).get('replay');
+        this.socket = replayId ? new ReplaySocket() : io({auth: {profileKey: profileKey()}});
 
         this.players = new Map();
         this.bullets = new Map();
+        this.explosions = [];
+        this.terrain = null;
+        this.pendingTerrain = [];
         this.myPlayerId = null;
 
         this.keys = {};
+        this.kickReason = null;
         this.lastShoot = 0;
-        this.shootCooldown = 500;
-
-        // Configuración dinámica del mundo
-        this.worldWidth = 800;
-        this.worldHeight = 600;
+        this.fireRequested = false;
+
+        // Entrada numerada: se predice en local y se reconcilia con lo que confirma el servidor
+        this.inputSeq = 0;
+        this.pendingInputs = [];
+        this.accumulator = 0;
+
+        // Tanques remotos y balas se dibujan algo en el pasado, interpolando entre estados conocidos
+        this.clock = new ClockSync(this.socket);
+        this.interpolationDelay = 100;
+
+        // Estados del mundo ya reconstruidos, base de los deltas que envía el servidor
+        this.snapshotHistory = new Map();
+        this.lastSnapshotSeq = null;
+        this.snapshotResyncs = 0;
+
+        // Ritmo de disparo y velocidad del tanque: el servidor manda los suyos al entrar y al recargar su configuración
+        this.shootCooldown = 200 + FIRE_MARGIN;
+        this.tankSpeed = Movement.TANK_SPEED;
+
+        // Configuración dinámica del mundo (el servidor envía el mapa al conectar)
+        this.map = null;
+        this.match = null;
+        this.mode = null;
+        this.powerUps = new Map();
+        this.shovels = [];
+        this.killFeed = [];
+        this.worldWidth = 0;
+        this.worldHeight = 0;
         this.camera = {x: 0, y: 0};
         this.scale = 1;
 
+        this.lobby = new Lobby(this);
+        this.joinScreen = new JoinScreen(this);
+        this.spectatorCamera = new SpectatorCamera(this);
+        this.replay = replayId ? new ReplayPlayer(this, replayId) : null;
+        this.scoreboard = new Scoreboard(this);
+        this.chat = new Chat(this);
+        this.debugOverlay = new DebugOverlay(this);
+
         this.setupSocketEvents();
         this.setupControls();
         this.handleResize();
         this.startGameLoop();
 
-        // Iniciar audio
-        this.audio = new AudioManager(this.socket);
+        // Iniciar audio (una repetición no tiene voz)
+        if (!this.replay) this.audio = new AudioManager(this.socket);
 
         // Exponer para redimensionamiento
         window.game = this;
@@ -35,23 +121,27 @@ class Game {
         this.canvas.width = container.clientWidth;
         this.canvas.height = container.clientHeight;
 
+        // Sin mapa todavía no hay proporciones que mantener
+        if (!this.map) return;
+
         // Calcular escala para mantener proporciones del juego
         const scaleX = this.canvas.width / this.worldWidth;
         const scaleY = this.canvas.height / this.worldHeight;
-        this.scale = Math.min(scaleX, scaleY);
+        this.scale = Math.min(scaleX, scaleY) * this.spectatorCamera.zoom();
 
         // Centrar cámara si es necesario
         this.updateCamera();
 
-        console.log(`Canvas resized to: ${this.canvas.width}x${this.canvas.height}, scale: ${this.scale}`);
+        DebugLog.log('game', `Canvas de ${this.canvas.width}x${this.canvas.height}, escala ${this.scale}`);
     }
 
     updateCamera() {
-        const myPlayer = this.players.get(this.myPlayerId);
-        if (myPlayer) {
+        // Los espectadores mueven su propia cámara
+        const focus = this.spectatorCamera.active ? this.spectatorCamera.center : this.players.get(this.myPlayerId);
+        if (focus) {
             // Seguir al jugador con la cámara
-            this.camera.x = myPlayer.x - (this.canvas.width / this.scale) / 2;
-            this.camera.y = myPlayer.y - (this.canvas.height / this.scale) / 2;
+            this.camera.x = focus.x - (this.canvas.width / this.scale) / 2;
+            this.camera.y = focus.y - (this.canvas.height / this.scale) / 2;
 
             // Limitar cámara a los bordes del mundo
             this.camera.x = Math.max(0, Math.min(this.worldWidth - this.canvas.width / this.scale, this.camera.x));
@@ -61,34 +151,100 @@ class Game {
 
     setupSocketEvents() {
         this.socket.on('connect', () => {
-            console.log('Conectado al servidor');
-            this.myPlayerId = this.socket.id;
-            this.players.clear();
-            this.bullets.clear();
+            DebugLog.log('net', 'Conectado al servidor');
+            this.clock.start();
+            this.resumeSession();
+        });
+
+        // Un administrador nos echa, o el servidor por abuso: llega el motivo justo antes de cortar la conexión
+        this.socket.on('kicked', (data) => {
+            this.kickReason = data.reason;
+        });
+
+        // Con un baneo el servidor rechaza la conexión y el cliente deja de reintentar
+        this.socket.on('connect_error', (error) => {
+            if (!error.data || !error.data.banned) return;
+            const until = error.data.until ? `hasta el ${new Date(error.data.until).toLocaleString()}` : 'sin fecha de fin';
+            this.showConnectionLost('🚫 No puedes entrar en el servidor', `${error.message} (${until})`);
         });
 
+        // Dentro de una sala se conserva el mundo mientras se intenta volver.
+        // El servidor solo corta la conexión cuando el tanque se ha recuperado desde otra ventana o al expulsar
+        this.socket.on('disconnect', (reason) => {
+            DebugLog.log('net', 'Desconectado del servidor:', reason);
+            if (this.kickReason) {
+                this.showConnectionLost('🚫 Te han expulsado', this.kickReason);
+                return;
+            }
+            if (!this.map) return;
+
+            const takenOver = reason === 'io server disconnect';
+            const waiting = this.spectatorCamera.active ? '' : 'Tu tanque te espera unos segundos';
+            this.showConnectionLost(
+                takenOver ? '🔀 Partida abierta en otra ventana' : '📡 Reconectando…',
+                takenOver ? 'Recarga la página para jugar aquí' : waiting
+            );
+        });
+
+        this.socket.on('serverConfig', (config) => {
+            this.applyServerConfig(config);
+        });
+
+        // Avisos de los administradores: en el chat y en grande
+        this.socket.on('serverMessage', (data) => {
+            this.chat.add({channel: 'system', text: `📢 ${data.text}`});
+            this.showModeMessage(`📢 ${data.text}`);
+        });
+
+        // Al entrar en una sala llega su estado completo
         this.socket.on('gameState', (state) => {
+            this.resetWorld();
+            document.getElementById('reconnectOverlay').style.display = 'none';
+            document.getElementById('roomCode').textContent = state.room.code;
+
+            // El id del tanque es el de la primera conexión, aunque se haya reconectado después.
+            // Los espectadores no tienen tanque que recuperar
+            this.myPlayerId = state.you;
+            if (state.resumeToken) {
+                sessionStorage.setItem('tankResumeToken', state.resumeToken);
+            } else {
+                sessionStorage.removeItem('tankResumeToken');
+            }
 
             state.players.forEach(player => {
-                this.players.set(player.id, player);
+                this.addPlayer(player);
             });
             state.bullets.forEach(bullet => {
                 this.bullets.set(bullet.id, bullet);
             });
+            if (state.serverInfo) this.applyServerConfig(state.serverInfo.config);
+            this.loadMap(state);
+            if (state.spectator) this.spectatorCamera.start();
             this.updatePlayerCount();
+            this.updateDeathOverlay();
         });
 
         this.socket.on('playerJoined', (player) => {
-            this.players.set(player.id, player);
+            this.addPlayer(player);
             this.updatePlayerCount();
         });
 
-        this.socket.on('playerMoved', (data) => {
+        this.socket.on('snapshot', (snapshot) => {
+            this.handleSnapshot(snapshot);
+        });
+
+        this.socket.on('playerConnection', (data) => {
+            const player = this.players.get(data.id);
+            if (player) player.connected = data.connected;
+        });
+
+        // Alguien cambió de nombre, color o aspecto
+        this.socket.on('playerUpdated', (data) => {
             const player = this.players.get(data.id);
             if (player) {
-                player.x = data.x;
-                player.y = data.y;
-                player.angle = data.angle;
+                player.name = data.name;
+                player.color = data.color;
+                player.skin = data.skin;
             }
         });
 
@@ -97,31 +253,418 @@ class Game {
             this.updatePlayerCount();
         });
 
-        this.socket.on('bulletCreated', (bullet) => {
-            this.bullets.set(bullet.id, bullet);
+        // Fin de partida: resultados y cuenta atrás hasta el siguiente mapa
+        this.socket.on('matchEnded', (data) => {
+            this.match = {state: 'intermission', endsAt: Date.now() + data.intermission};
+            document.getElementById('nextMapName').textContent = data.nextMap;
+            this.showMatchResult(data);
+        });
+
+        // Vidas de los equipos y estado de las bases
+        this.socket.on('modeState', (mode) => {
+            this.mode = mode;
+            this.updateModeInfo();
         });
 
-        this.socket.on('bulletDestroyed', (bulletId) => {
-            this.bullets.delete(bulletId);
+        this.socket.on('flagEvent', (data) => {
+            const player = this.players.get(data.playerId);
+            const who = player ? player.name : 'La bandera';
+            const text = player ? FLAG_MESSAGES[data.type] : 'vuelve a su base';
+            this.showModeMessage(`🚩 ${who} ${text} (${TEAMS[data.team].name})`);
         });
 
+        // Registro de bajas junto al minimapa
+        this.socket.on('killed', (data) => {
+            const killer = this.players.get(data.killer);
+            const victim = this.players.get(data.victim);
+            this.killFeed.push({
+                killerName: data.killerName,
+                killerColor: killer ? killer.color : 'white',
+                victimName: data.victimName,
+                victimColor: victim ? victim.color : 'white',
+                weapon: WEAPON_ICONS[data.weapon] || '☠️',
+                mine: data.killer === this.myPlayerId || data.victim === this.myPlayerId,
+                createdAt: Date.now()
+            });
+            if (this.killFeed.length > 5) this.killFeed.shift();
+        });
+
+        // Objetos: el servidor decide dónde aparecen, quién los coge y cuánto duran sus efectos
+        this.socket.on('powerUpSpawned', (powerUp) => {
+            this.addPowerUp(powerUp);
+        });
+
+        this.socket.on('powerUpRemoved', (data) => {
+            this.powerUps.delete(data.id);
+        });
+
+        this.socket.on('powerUpCollected', (effect) => {
+            this.applyPowerUp(effect);
+        });
+
+        // Oleadas de bots: enemigos que quedan por salir
+        this.socket.on('waveStatus', (data) => {
+            document.getElementById('waveInfo').style.display = 'block';
+            document.getElementById('waveRemaining').textContent = data.remaining;
+        });
+
+        this.socket.on('baseDestroyed', (data) => {
+            const size = this.terrain.tileSize;
+            const base = this.mode.bases.find(b => b.team === data.team);
+            if (base) {
+                this.explosions.push({x: (base.col + 0.5) * size, y: (base.row + 0.5) * size, createdAt: Date.now()});
+            }
+        });
+
+        this.socket.on('mapLoaded', (state) => {
+            this.bullets.clear();
+            this.explosions = [];
+            this.pendingInputs = [];
+            this.pendingTerrain = [];
+            state.players.forEach(player => {
+                this.addPlayer(player);
+            });
+            this.loadMap(state);
+            document.getElementById('matchOverlay').style.display = 'none';
+        });
+
+        // Bloques destruidos en el servidor; se aplican cuando la bala llega en pantalla
+        this.socket.on('terrainChanged', (data) => {
+            this.pendingTerrain.push(data);
+        });
+
+        // La vida la decide el servidor; el cliente solo refleja su valor
         this.socket.on('playerDamaged', (data) => {
             const player = this.players.get(data.id);
             if (player) {
-                player.health -= data.damage;
-                if (player.health <= 0) {
-                    this.players.delete(player.id);
-                    if (player.id === this.myPlayerId) {
-                        alert(`You have been destroyed!`);
-                    }
-                }
+                player.health = data.health;
             }
         });
+
+        this.socket.on('playerDied', (data) => {
+            const player = this.players.get(data.id);
+            if (player) {
+                player.health = 0;
+                player.alive = false;
+                // Sin vidas en el equipo no hay reaparición hasta la siguiente partida
+                player.respawnAt = data.respawnIn === null ? null : Date.now() + data.respawnIn;
+                this.explosions.push({x: player.x, y: player.y, createdAt: Date.now()});
+            }
+            this.updateDeathOverlay();
+        });
+
+        this.socket.on('playerRespawned', (data) => {
+            if (data.id === this.myPlayerId) this.pendingInputs = [];
+            this.addPlayer(data);
+            this.updateDeathOverlay();
+            this.updateModeInfo();
+        });
+    }
+
+    // Tras una caída se recupera el mismo tanque con el token de la sala; si ha caducado se empieza de cero
+    resumeSession() {
+        const token = sessionStorage.getItem('tankResumeToken');
+        if (!token) {
+            this.startFresh();
+            return;
+        }
+
+        this.socket.emit('resumeSession', {token}, (result) => {
+            if (result && result.ok) {
+                this.joinScreen.entered = true;
+                this.lobby.handleResult(result);
+                return;
+            }
+
+            sessionStorage.removeItem('tankResumeToken');
+            this.startFresh();
+        });
+    }
+
+    startFresh() {
+        document.getElementById('reconnectOverlay').style.display = 'none';
+        this.myPlayerId = null;
+        this.map = null;
+        this.resetWorld();
+        this.joinScreen.onConnect();
+    }
+
+    resetWorld() {
+        if (this.spectatorCamera.active) this.spectatorCamera.stop();
+        this.players.clear();
+        this.bullets.clear();
+        this.explosions = [];
+        this.pendingInputs = [];
+        this.pendingTerrain = [];
+        this.snapshotHistory.clear();
+        this.powerUps.clear();
+        this.shovels = [];
+        this.killFeed = [];
+        this.chat.clear();
+        this.updatePlayerCount();
+        document.getElementById('waveInfo').style.display = 'none';
+        document.getElementById('deathOverlay').style.display = 'none';
+        document.getElementById('matchOverlay').style.display = 'none';
+    }
+
+    handleSnapshot(snapshot) {
+        // Delta sobre un estado que no tenemos: pedir uno completo
+        const base = snapshot.baseline === null ? null : this.snapshotHistory.get(snapshot.baseline);
+        if (snapshot.baseline !== null && !base) {
+            DebugLog.log('net', `Snapshot ${snapshot.seq} sobre ${snapshot.baseline}, que no tenemos: se pide uno completo`);
+            this.snapshotResyncs++;
+            this.socket.emit('snapshotResync');
+            return;
+        }
+
+        const state = SnapshotDelta.apply(base, snapshot);
+        this.snapshotHistory.set(snapshot.seq, state);
+        this.snapshotHistory.delete(snapshot.seq - 32);
+        this.lastSnapshotSeq = snapshot.seq;
+        this.socket.emit('snapshotAck', snapshot.seq);
+
+        Object.entries(state.players).forEach(([id, data]) => {
+            const player = this.players.get(id);
+            if (!player) return;
+
+            player.health = data.health;
+            if (player.snapshots) {
+                player.snapshots.push({t: snapshot.t, x: data.x, y: data.y, angle: data.angle});
+            }
+        });
+
+        this.reconcile(snapshot.ack);
+
+        // Balas nuevas y terminadas; el resto sigue su trayectoria
+        Object.entries(state.bullets).forEach(([id, data]) => {
+            const bulletId = Number(id);
+            if (!this.bullets.has(bulletId)) {
+                this.bullets.set(bulletId, {id: bulletId, ...data});
+            }
+        });
+
+        ((snapshot.removed && snapshot.removed.bullets) || []).forEach(id => {
+            const bullet = this.bullets.get(Number(id));
+            if (bullet) {
+                bullet.destroyedAt = (snapshot.bulletEnds && snapshot.bulletEnds[id]) || snapshot.t;
+            }
+        });
+    }
+
+    // Reconciliación: partir del estado confirmado y volver a aplicar la entrada aún sin confirmar
+    reconcile(ack) {
+        const myPlayer = this.players.get(this.myPlayerId);
+        if (!myPlayer || !myPlayer.alive) return;
+
+        myPlayer.x = ack.x;
+        myPlayer.y = ack.y;
+        myPlayer.angle = ack.angle;
+        myPlayer.vx = ack.vx;
+        myPlayer.vy = ack.vy;
+        myPlayer.speed = this.tankSpeed;
+
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > ack.seq);
+        if (this.terrain) {
+            const others = this.otherTanks();
+            this.pendingInputs.forEach(input => {
+                Movement.stepTank(myPlayer, input, 1 / Movement.TICK_RATE, this.terrain, this.map, others);
+            });
+        }
+    }
+
+    // Los demás tanques vivos: la predicción choca con ellos igual que el servidor
+    otherTanks() {
+        return Array.from(this.players.values()).filter(player => player.id !== this.myPlayerId && player.alive);
+    }
+
+    addPlayer(player) {
+        this.trackTimers(player);
+
+        // Los remotos se dibujan desde su historial; el propio se predice
+        if (player.id !== this.myPlayerId) {
+            player.snapshots = new SnapshotBuffer();
+            player.snapshots.reset({t: 0, x: player.x, y: player.y, angle: player.angle});
+        }
+
+        this.players.set(player.id, player);
+        return player;
+    }
+
+    loadMap(state) {
+        this.map = state.map;
+        this.terrain = Terrain.from(state.terrain);
+        this.worldWidth = state.map.width;
+        this.worldHeight = state.map.height;
+        this.match = {state: state.match.state, endsAt: Date.now() + state.match.remaining};
+        this.mode = state.mode;
+
+        this.powerUps.clear();
+        state.powerUps.items.forEach(powerUp => this.addPowerUp(powerUp));
+        this.shovels = state.powerUps.shovels.map(shovel => ({team: shovel.team, endsAt: Date.now() + shovel.endsIn}));
+
+        document.getElementById('mapName').textContent = state.map.name;
+        document.getElementById('modeName').textContent = state.mode.name;
+        this.updateModeInfo();
+        this.handleResize();
+    }
+
+    updateMatchTimer() {
+        if (!this.match) return;
+
+        const remaining = Math.max(0, Math.ceil((this.match.endsAt - Date.now()) / 1000));
+        const text = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+
+        if (this.match.state === 'playing') {
+            document.getElementById('matchTimer').textContent = text;
+        } else {
+            document.getElementById('nextMapCountdown').textContent = remaining;
+        }
+    }
+
+    addPowerUp(powerUp) {
+        powerUp.expiresAt = Date.now() + powerUp.expiresIn;
+        this.powerUps.set(powerUp.id, powerUp);
+    }
+
+    // Refleja en local el efecto que ya ha aplicado el servidor
+    applyPowerUp(effect) {
+        const now = Date.now();
+        const player = this.players.get(effect.playerId);
+        this.powerUps.delete(effect.id);
+
+        if (effect.type === 'star' && player) {
+            player.stars = effect.stars;
+        } else if (effect.type === 'helmet' && player) {
+            player.invulnerableUntil = now + effect.duration;
+        } else if (effect.type === 'timer') {
+            effect.affected.forEach(id => {
+                const frozen = this.players.get(id);
+                if (frozen) frozen.frozenUntil = now + effect.duration;
+            });
+        } else if (effect.type === 'shovel') {
+            this.shovels = this.shovels.filter(shovel => shovel.team !== effect.team);
+            this.shovels.push({team: effect.team, endsAt: now + effect.duration});
+        }
+
+        const info = POWER_UPS[effect.type];
+        this.showModeMessage(`${info.icon} ${player ? player.name : '?'}: ${info.name}`);
+    }
+
+    updateModeInfo() {
+        const teamInfo = document.getElementById('teamInfo');
+        const myPlayer = this.players.get(this.myPlayerId);
+
+        if (!this.mode || !this.mode.teamBased || !myPlayer || !TEAMS[myPlayer.team]) {
+            teamInfo.style.display = 'none';
+            return;
+        }
+
+        // En defensa de la base cuentan las vidas; en el resto, la puntuación hasta el límite
+        const values = this.mode.lives || this.mode.scores;
+        const limit = this.mode.lives || !this.mode.scoreLimit ? '' : ` / ${this.mode.scoreLimit}`;
+
+        teamInfo.style.display = 'block';
+        document.getElementById('teamName').textContent = TEAMS[myPlayer.team].name;
+        document.getElementById('teamName').style.color = TEAMS[myPlayer.team].color;
+        document.getElementById('scoreLabel').textContent = SCORE_LABELS[this.mode.id] || 'Puntos';
+        document.getElementById('teamScores').textContent =
+            `${TEAMS[1].name} ${values[1]} · ${TEAMS[2].name} ${values[2]}${limit}`;
+    }
+
+    applyServerConfig(config) {
+        this.shootCooldown = config.fireInterval + FIRE_MARGIN;
+        this.tankSpeed = config.tankSpeed;
+    }
+
+    showConnectionLost(title, info) {
+        document.getElementById('reconnectTitle').textContent = title;
+        document.getElementById('reconnectInfo').textContent = info;
+        document.getElementById('reconnectOverlay').style.display = 'flex';
+    }
+
+    showModeMessage(text) {
+        const message = document.getElementById('modeMessage');
+        message.textContent = text;
+        message.style.display = 'block';
+
+        clearTimeout(this.modeMessageTimeout);
+        this.modeMessageTimeout = setTimeout(() => {
+            message.style.display = 'none';
+        }, 3000);
+    }
+
+    // Pantalla de victoria o derrota según el equipo del jugador
+    showMatchResult(data) {
+        const myPlayer = this.players.get(this.myPlayerId);
+        const myTeam = myPlayer ? myPlayer.team : null;
+        const won = data.winner !== null && data.winner === myTeam;
+        let title = '🏁 Fin de la partida';
+        let reason = '';
+
+        if (data.winner !== null) {
+            title = won ? '🏆 ¡Victoria!' : '☠️ Derrota';
+        } else if (this.mode && this.mode.teamBased) {
+            title = '🤝 Empate';
+        }
+
+        if (data.reason === 'baseDestroyed') {
+            reason = won ? '¡Habéis destruido la base enemiga!' : 'Vuestra base ha caído';
+        } else if (data.reason === 'noLives') {
+            reason = won ? 'El equipo rival se ha quedado sin vidas' : 'Tu equipo se ha quedado sin vidas';
+        } else if (data.reason === 'wavesCleared') {
+            reason = won ? '¡Habéis acabado con todas las oleadas!' : 'Las oleadas enemigas han sido derrotadas';
+        } else if (data.reason === 'scoreLimit') {
+            reason = won ? '¡Habéis llegado al límite de puntos!' : 'El equipo rival llegó al límite de puntos';
+        } else if (data.reason === 'timeLimit') {
+            reason = 'Se acabó el tiempo';
+        } else if (data.reason === 'admin') {
+            reason = 'Un administrador ha terminado la partida';
+        }
+
+        const overlay = document.getElementById('matchOverlay');
+        overlay.classList.toggle('victory', data.winner !== null && won);
+        overlay.classList.toggle('defeat', data.winner !== null && !won);
+        document.getElementById('matchResult').textContent = title;
+        document.getElementById('matchReason').textContent = reason;
+        this.scoreboard.render(document.getElementById('matchScoreboard'), data.scoreboard);
+        overlay.style.display = 'flex';
+    }
+
+    // Convierte los tiempos relativos del servidor en marcas de tiempo locales
+    trackTimers(player) {
+        const now = Date.now();
+        player.respawnAt = now + (player.respawnIn || 0);
+        player.invulnerableUntil = now + (player.invulnerableFor || 0);
+        player.frozenUntil = now + (player.frozenFor || 0);
+        return player;
+    }
+
+    updateDeathOverlay() {
+        const overlay = document.getElementById('deathOverlay');
+        const myPlayer = this.players.get(this.myPlayerId);
+
+        if (!myPlayer || myPlayer.alive) {
+            overlay.style.display = 'none';
+            return;
+        }
+
+        overlay.style.display = 'flex';
+
+        const noLives = myPlayer.respawnAt === null;
+        document.getElementById('respawnInfo').style.display = noLives ? 'none' : 'block';
+        document.getElementById('noLivesInfo').style.display = noLives ? 'block' : 'none';
+        if (noLives) return;
+
+        const seconds = Math.max(0, Math.ceil((myPlayer.respawnAt - Date.now()) / 1000));
+        document.getElementById('respawnCountdown').textContent = seconds;
     }
 
     setupControls() {
         // Controles de teclado (PC)
         document.addEventListener('keydown', (e) => {
+            // Escribiendo en el selector de salas o en el chat; Tab es del marcador
+            if (e.target.tagName === 'INPUT' || e.code === 'Tab' || this.chat.typing) return;
+
             this.keys[e.code] = true;
 
             if (e.code === 'Space') {
@@ -141,13 +684,39 @@ class Game {
         };
     }
 
-    update() {
+    update(deltaTime) {
+        // Explosiones y cuenta atrás aunque el jugador esté muerto
+        const now = Date.now();
+        if (this.replay) this.replay.update(deltaTime);
+        this.explosions = this.explosions.filter(explosion => now - explosion.createdAt < 600);
+        this.updateDeathOverlay();
+        this.updateMatchTimer();
+
+        // Pasos fijos al mismo ritmo que el servidor, sea cual sea el refresco de pantalla
+        const step = 1000 / Movement.TICK_RATE;
+        this.accumulator = Math.min(this.accumulator + deltaTime, 250);
+        while (this.accumulator >= step) {
+            this.accumulator -= step;
+            this.updateLocalPlayer();
+        }
+
+        // Lo remoto se muestra en el pasado para tener siempre dos estados entre los que interpolar
+        const renderTime = this.clock.serverNow() - this.interpolationDelay;
+        this.interpolateRemotePlayers(renderTime);
+        this.updateBullets(renderTime);
+        this.applyPendingTerrain(renderTime);
+
+        // Actualizar cámara
+        this.spectatorCamera.update(deltaTime);
+        this.updateCamera();
+    }
+
+    updateLocalPlayer() {
         const myPlayer = this.players.get(this.myPlayerId);
-        if (!myPlayer) return;
+        if (!myPlayer || !myPlayer.alive || !this.terrain) return;
 
         let moveX = 0;
         let moveY = 0;
-        let newAngle = myPlayer.angle;
 
         // Controles PC
         if (this.keys['KeyW'] || this.keys['ArrowUp']) moveY = -1;
@@ -166,70 +735,79 @@ class Game {
             window.mobileControls.shoot = false;
         }
 
-        // Calcular movimiento
-        if (moveX !== 0 || moveY !== 0) {
-            const speed = 150;
-            const deltaTime = 1 / 60;
+        // Congelado por un reloj: el servidor ignora el movimiento, así que no se predice
+        if (myPlayer.frozenUntil > Date.now()) {
+            moveX = 0;
+            moveY = 0;
+            this.fireRequested = false;
+        }
 
-            // Normalizar movimiento diagonal
-            const magnitude = Math.sqrt(moveX * moveX + moveY * moveY);
-            if (magnitude > 1) {
-                moveX /= magnitude;
-                moveY /= magnitude;
-            }
+        const input = {dx: moveX, dy: moveY, fire: this.fireRequested};
+        this.fireRequested = false;
 
-            const newX = myPlayer.x + moveX * speed * deltaTime;
-            const newY = myPlayer.y + moveY * speed * deltaTime;
+        // Parado y sin disparar no hay nada que enviar
+        if (moveX === 0 && moveY === 0 && !input.fire && !Movement.isMoving(myPlayer)) return;
 
-            // Limitar al mundo
-            myPlayer.x = Math.max(20, Math.min(this.worldWidth - 20, newX));
-            myPlayer.y = Math.max(20, Math.min(this.worldHeight - 20, newY));
+        // Se aplica ya en local y se guarda hasta que el servidor la confirme
+        input.seq = ++this.inputSeq;
+        myPlayer.speed = this.tankSpeed;
+        Movement.stepTank(myPlayer, input, 1 / Movement.TICK_RATE, this.terrain, this.map, this.otherTanks());
+        this.pendingInputs.push(input);
+        if (this.pendingInputs.length > 120) this.pendingInputs.shift();
 
-            // Calcular ángulo de rotación
-            newAngle = Math.atan2(moveY, moveX) * 180 / Math.PI;
-            myPlayer.angle = newAngle;
+        this.socket.emit('playerInput', input);
+    }
 
-            // Enviar actualización al servidor
-            this.socket.emit('playerMove', {
-                x: myPlayer.x,
-                y: myPlayer.y,
-                angle: newAngle
-            });
-        }
+    interpolateRemotePlayers(renderTime) {
+        this.players.forEach((player) => {
+            if (!player.snapshots) return;
 
-        // Actualizar cámara
-        this.updateCamera();
+            const state = player.snapshots.sample(renderTime);
+            if (state) {
+                player.x = state.x;
+                player.y = state.y;
+                player.angle = state.angle;
+            }
+        });
+    }
 
-        // Actualizar bullets
+    // Las balas van en línea recta: su posición sale de dónde y cuándo se dispararon
+    updateBullets(renderTime) {
         this.bullets.forEach((bullet) => {
-            const radians = bullet.angle * Math.PI / 180;
-            bullet.x += Math.cos(radians) * bullet.speed * (1 / 60);
-            bullet.y += Math.sin(radians) * bullet.speed * (1 / 60);
-            const scaleWidth = this.worldWidth - 2 / this.scale;
-            const scaleHeight = this.worldHeight - 2 / this.scale;
-            // Limitar bullets al mundo
-            if (bullet.x < 0 || bullet.x > scaleWidth || bullet.y < 0 || bullet.y > scaleHeight) {
+            const ended = bullet.destroyedAt !== undefined && renderTime >= bullet.destroyedAt;
+            const expired = renderTime - bullet.createdAt > 5000;
+            if (ended || expired) {
                 this.bullets.delete(bullet.id);
+                return;
             }
-            this.players.forEach((player) => {
-                const dx = bullet.x - player.x;
-                const dy = bullet.y - player.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                if (distance < 20) { // Assuming tank radius is 15
-                    if (player.id !== bullet.playerId) {
-                        this.bullets.delete(bullet.id);
-                    }
-                }
-            });
+
+            const elapsed = Math.max(0, renderTime - bullet.createdAt) / 1000;
+            const radians = bullet.angle * Math.PI / 180;
+            bullet.x = bullet.originX + Math.cos(radians) * bullet.speed * elapsed;
+            bullet.y = bullet.originY + Math.sin(radians) * bullet.speed * elapsed;
+            bullet.visible = renderTime >= bullet.createdAt;
         });
     }
 
+    applyPendingTerrain(renderTime) {
+        if (!this.terrain) return;
+
+        while (this.pendingTerrain.length > 0 && this.pendingTerrain[0].t <= renderTime) {
+            this.terrain.applyChanges(this.pendingTerrain.shift().changes);
+        }
+    }
+
+    // Los árboles ocultan a los tanques enemigos
+    isHidden(player) {
+        return player.id !== this.myPlayerId && this.terrain !== null && this.terrain.isTrees(player.x, player.y);
+    }
+
     shoot() {
         const now = Date.now();
         if (now - this.lastShoot < this.shootCooldown) return;
 
         this.lastShoot = now;
-        this.socket.emit('playerShoot', {});
+        this.fireRequested = true;
     }
 
     render() {
@@ -237,6 +815,9 @@ class Game {
         this.ctx.fillStyle = '#1a2a1a';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
+        // Esperando el mapa del servidor
+        if (!this.map) return;
+
         // Aplicar transformación de cámara
         this.ctx.save();
         this.ctx.scale(this.scale, this.scale);
@@ -244,17 +825,31 @@ class Game {
 
         // Dibujar fondo del mundo
         this.drawWorldBackground();
+        this.drawTerrain();
 
         // Dibujar tanques
         this.players.forEach((player) => {
-            this.drawTank(player);
+            if (player.alive) this.drawTank(player);
+        });
+
+        this.drawFlags();
+
+        // Dibujar explosiones
+        this.explosions.forEach((explosion) => {
+            this.drawExplosion(explosion);
         });
 
         // Dibujar bullets
         this.bullets.forEach((bullet) => {
-            this.drawBullet(bullet);
+            if (bullet.visible) this.drawBullet(bullet);
         });
 
+        this.drawPowerUps();
+        this.drawShovelTimers();
+
+        // Los árboles van por encima de tanques y balas
+        this.drawTrees();
+
         // Dibujar límites del mundo
         this.drawWorldBorders();
 
@@ -288,6 +883,172 @@ class Game {
         }
     }
 
+    drawTerrain() {
+        if (!this.terrain) return;
+
+        const ctx = this.ctx;
+        const size = this.terrain.tileSize;
+        const half = size / 2;
+        const TILE = Terrain.TILE;
+
+        for (let row = 0; row < this.terrain.rows; row++) {
+            for (let col = 0; col < this.terrain.cols; col++) {
+                const type = this.terrain.getType(col, row);
+                const x = col * size;
+                const y = row * size;
+
+                if (type === TILE.WATER) {
+                    const wave = Math.sin(Date.now() / 400 + col + row) * 10;
+                    ctx.fillStyle = `rgb(30, ${80 + wave}, ${170 + wave})`;
+                    ctx.fillRect(x, y, size, size);
+                } else if (type === TILE.ICE) {
+                    ctx.fillStyle = '#cfe8f0';
+                    ctx.fillRect(x, y, size, size);
+                    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.moveTo(x + 8, y + size - 8);
+                    ctx.lineTo(x + size - 8, y + 8);
+                    ctx.stroke();
+                } else if (type === TILE.BASE) {
+                    this.drawBase(col, row, x, y, size);
+                } else if (Terrain.isBlockTile(type)) {
+                    const mask = this.terrain.getMask(col, row);
+                    for (let b = 0; b < 4; b++) {
+                        if (mask & (1 << b)) {
+                            this.drawBlock(type, x + (b % 2) * half, y + Math.floor(b / 2) * half, half);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Águila del equipo; destruida queda como escombros
+    drawBase(col, row, x, y, size) {
+        const ctx = this.ctx;
+        const base = this.mode && this.mode.bases && this.mode.bases.find(b => b.col === col && b.row === row);
+        const alive = !base || base.alive;
+        const color = base && TEAMS[base.team] ? TEAMS[base.team].color : '#aaa';
+
+        ctx.fillStyle = '#222';
+        ctx.fillRect(x, y, size, size);
+
+        if (!alive) {
+            ctx.fillStyle = '#555';
+            for (let i = 0; i < 6; i++) {
+                ctx.fillRect(x + (i * 7) % (size - 8) + 2, y + (i * 11) % (size - 8) + 4, 6, 5);
+            }
+            return;
+        }
+
+        const cx = x + size / 2;
+        const cy = y + size / 2;
+        ctx.fillStyle = color;
+
+        // Alas
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - size * 0.1);
+        ctx.lineTo(cx - size * 0.42, cy - size * 0.3);
+        ctx.lineTo(cx - size * 0.3, cy + size * 0.1);
+        ctx.lineTo(cx, cy + size * 0.2);
+        ctx.lineTo(cx + size * 0.3, cy + size * 0.1);
+        ctx.lineTo(cx + size * 0.42, cy - size * 0.3);
+        ctx.closePath();
+        ctx.fill();
+
+        // Cabeza y cola
+        ctx.beginPath();
+        ctx.arc(cx, cy - size * 0.22, size * 0.1, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillRect(cx - size * 0.12, cy + size * 0.2, size * 0.24, size * 0.18);
+    }
+
+    // Banderas de captura: en su sitio o sobre el tanque que la lleva
+    drawFlags() {
+        if (!this.mode || !this.mode.flags) return;
+
+        const ctx = this.ctx;
+        this.mode.flags.forEach(flag => {
+            const carrier = flag.carrier && this.players.get(flag.carrier);
+            if (carrier && this.isHidden(carrier)) return;
+
+            const x = carrier ? carrier.x + 10 : flag.x;
+            const y = carrier ? carrier.y - 10 : flag.y;
+
+            if (flag.home) {
+                ctx.strokeStyle = TEAMS[flag.team].color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(flag.x, flag.y, 18, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            // Mástil y tela
+            ctx.fillStyle = '#ddd';
+            ctx.fillRect(x - 1, y - 16, 2, 22);
+            ctx.fillStyle = TEAMS[flag.team].color;
+            ctx.beginPath();
+            ctx.moveTo(x + 1, y - 16);
+            ctx.lineTo(x + 15, y - 11);
+            ctx.lineTo(x + 1, y - 6);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    drawBlock(type, x, y, size) {
+        const ctx = this.ctx;
+
+        if (type === Terrain.TILE.STEEL) {
+            ctx.fillStyle = '#9e9e9e';
+            ctx.fillRect(x, y, size, size);
+            ctx.fillStyle = '#e0e0e0';
+            ctx.fillRect(x + 4, y + 4, size - 8, size - 8);
+            ctx.strokeStyle = '#616161';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+        } else {
+            // Ladrillo con juntas de mortero
+            ctx.fillStyle = '#a0522d';
+            ctx.fillRect(x, y, size, size);
+            ctx.strokeStyle = '#d8c8b0';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, y + size / 2);
+            ctx.lineTo(x + size, y + size / 2);
+            ctx.moveTo(x + size / 2, y);
+            ctx.lineTo(x + size / 2, y + size / 2);
+            ctx.moveTo(x + size / 4, y + size / 2);
+            ctx.lineTo(x + size / 4, y + size);
+            ctx.stroke();
+        }
+    }
+
+    drawTrees() {
+        if (!this.terrain) return;
+
+        const ctx = this.ctx;
+        const size = this.terrain.tileSize;
+
+        for (let row = 0; row < this.terrain.rows; row++) {
+            for (let col = 0; col < this.terrain.cols; col++) {
+                if (this.terrain.getType(col, row) !== Terrain.TILE.TREES) continue;
+
+                const x = col * size;
+                const y = row * size;
+                ctx.fillStyle = 'rgba(34, 110, 34, 0.92)';
+                ctx.fillRect(x, y, size, size);
+                ctx.fillStyle = '#2e8b2e';
+                [[0.3, 0.3], [0.7, 0.3], [0.3, 0.7], [0.7, 0.7]].forEach(([fx, fy]) => {
+                    ctx.beginPath();
+                    ctx.arc(x + fx * size, y + fy * size, size * 0.22, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+            }
+        }
+    }
+
     drawWorldBorders() {
         this.ctx.strokeStyle = '#ff4444';
         this.ctx.lineWidth = 3;
@@ -297,55 +1058,167 @@ class Game {
     drawTank(player) {
         const ctx = this.ctx;
 
+        this.drawTankBody(ctx, player);
+
+        // Bajo los árboles solo se ve el follaje
+        if (this.isHidden(player)) return;
+
+        // Nombre del jugador (con el color de su equipo)
+        ctx.fillStyle = TEAMS[player.team] ? TEAMS[player.team].color : 'white';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 3;
+        const name = player.connected === false ? `${player.name} 📴` : player.name;
+        ctx.strokeText(name, player.x, player.y - 50);
+        ctx.fillText(name, player.x, player.y - 47);
+
+        // Escudo de aparición
+        if (player.invulnerableUntil > Date.now()) {
+            ctx.strokeStyle = `rgba(120, 200, 255, ${0.5 + Math.sin(Date.now() / 80) * 0.3})`;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(player.x, player.y, 22, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Indicador si es el jugador local
+        if (player.id === this.myPlayerId) {
+            ctx.strokeStyle = '#00ff00';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(player.x, player.y, 25, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Barra de vida
+        this.drawHealthBar(player);
+        this.drawEffects(player);
+    }
+
+    // Casco, cañón y torre según el aspecto elegido; también dibuja la vista previa de la pantalla de entrada
+    drawTankBody(ctx, tank) {
+        const skin = TANK_SKINS[tank.skin] || TANK_SKINS.classic;
+        const [width, height] = skin.hull;
+        const [barrelLength, barrelWidth] = skin.barrel;
+        const turret = skin.turret;
+
         ctx.save();
-        ctx.translate(player.x, player.y);
-        ctx.rotate(player.angle * Math.PI / 180);
+        ctx.translate(tank.x, tank.y);
+        ctx.rotate(tank.angle * Math.PI / 180);
 
         // Sombra
         ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-        ctx.fillRect(-13, -8, 26, 16);
+        ctx.fillRect(-width / 2 + 2, -height / 2 + 2, width - 4, height - 4);
 
         // Cuerpo del tanque
-        ctx.fillStyle = player.color;
-        ctx.fillRect(-15, -10, 30, 20);
+        ctx.fillStyle = tank.color;
+        ctx.fillRect(-width / 2, -height / 2, width, height);
 
         // Detalles del tanque
-        ctx.fillStyle = this.lightenColor(player.color, 20);
-        ctx.fillRect(-15, -10, 30, 4);
-        ctx.fillRect(-15, 6, 30, 4);
+        ctx.fillStyle = this.lightenColor(tank.color, 20);
+        ctx.fillRect(-width / 2, -height / 2, width, 4);
+        ctx.fillRect(-width / 2, height / 2 - 4, width, 4);
 
         // Cañón
         ctx.fillStyle = '#666';
-        ctx.fillRect(15, -2, 20, 4);
+        skin.barrels.forEach(offset => {
+            ctx.fillRect(width / 2, offset - barrelWidth / 2, barrelLength, barrelWidth);
+        });
 
         // Torre
-        ctx.fillStyle = this.darkenColor(player.color, 20);
-        ctx.beginPath();
-        ctx.arc(0, 0, 12, 0, Math.PI * 2);
-        ctx.fill();
+        ctx.fillStyle = this.darkenColor(tank.color, 20);
+        if (turret.shape === 'square') {
+            ctx.fillRect(-turret.size, -turret.size, turret.size * 2, turret.size * 2);
+        } else {
+            ctx.beginPath();
+            ctx.arc(0, 0, turret.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
 
         ctx.restore();
+    }
 
-        // Nombre del jugador
-        ctx.fillStyle = 'white';
-        ctx.font = '14px Arial';
+    // Estrellas y tiempos restantes de casco y congelación
+    drawEffects(player) {
+        const ctx = this.ctx;
+        const now = Date.now();
+        const labels = [];
+
+        if (player.stars > 0) labels.push('★'.repeat(player.stars));
+        if (player.invulnerableUntil > now) labels.push(`⛑️${Math.ceil((player.invulnerableUntil - now) / 1000)}`);
+        if (player.frozenUntil > now) labels.push(`❄️${Math.ceil((player.frozenUntil - now) / 1000)}`);
+        if (labels.length === 0) return;
+
+        ctx.font = '11px Arial';
         ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffe066';
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 3;
-        ctx.strokeText(player.name, player.x, player.y - 50);
-        ctx.fillText(player.name, player.x, player.y - 47);
+        ctx.strokeText(labels.join(' '), player.x, player.y + 34);
+        ctx.fillText(labels.join(' '), player.x, player.y + 34);
 
-        // Indicador si es el jugador local
-        if (player.id === this.myPlayerId) {
-            ctx.strokeStyle = '#00ff00';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(player.x, player.y, 25, 0, Math.PI * 2);
-            ctx.stroke();
+        // Tanque congelado: capa de hielo
+        if (player.frozenUntil > now) {
+            ctx.fillStyle = 'rgba(160, 220, 255, 0.35)';
+            ctx.fillRect(player.x - 17, player.y - 17, 34, 34);
         }
+    }
 
-        // Barra de vida
-        this.drawHealthBar(player);
+    // Los objetos parpadean en sus últimos 5 segundos
+    drawPowerUps() {
+        const ctx = this.ctx;
+        const now = Date.now();
+
+        this.powerUps.forEach(powerUp => {
+            const remaining = powerUp.expiresAt - now;
+            if (remaining <= 0) return;
+            if (remaining < 5000 && Math.floor(now / 200) % 2 === 0) return;
+
+            const info = POWER_UPS[powerUp.type];
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(powerUp.x - 15, powerUp.y - 15, 30, 30);
+            ctx.strokeStyle = info.color;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(powerUp.x - 15, powerUp.y - 15, 30, 30);
+
+            ctx.font = '18px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(info.icon, powerUp.x, powerUp.y + 1);
+            ctx.textBaseline = 'alphabetic';
+
+            ctx.font = '10px Arial';
+            ctx.fillStyle = 'white';
+            ctx.fillText(`${Math.ceil(remaining / 1000)}s`, powerUp.x, powerUp.y + 26);
+        });
+    }
+
+    // Cuenta atrás de los muros de acero que puso la pala
+    drawShovelTimers() {
+        if (!this.mode || !this.mode.bases) return;
+
+        const ctx = this.ctx;
+        const now = Date.now();
+        const size = this.terrain.tileSize;
+
+        this.shovels.forEach(shovel => {
+            const remaining = shovel.endsAt - now;
+            const base = this.mode.bases.find(b => b.team === shovel.team);
+            if (remaining <= 0 || !base) return;
+
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#ddd';
+            ctx.strokeStyle = 'black';
+            ctx.lineWidth = 3;
+            // Encima del muro, o debajo si la base está pegada al borde superior
+            const text = `⛏️ ${Math.ceil(remaining / 1000)}s`;
+            const x = (base.col + 0.5) * size;
+            const y = base.row > 1 ? (base.row - 1) * size - 4 : (base.row + 2) * size + 14;
+            ctx.strokeText(text, x, y);
+            ctx.fillText(text, x, y);
+        });
     }
 
     drawHealthBar(player) {
@@ -380,9 +1253,57 @@ class Game {
         this.ctx.stroke();
     }
 
+    drawExplosion(explosion) {
+        const progress = (Date.now() - explosion.createdAt) / 600;
+        const ctx = this.ctx;
+
+        ctx.fillStyle = `rgba(255, ${Math.round(200 * (1 - progress))}, 0, ${1 - progress})`;
+        ctx.beginPath();
+        ctx.arc(explosion.x, explosion.y, 10 + progress * 25, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
     drawUI() {
         // Minimapa
         this.drawMinimap();
+        this.drawKillFeed();
+        this.chat.draw();
+    }
+
+    // Últimas bajas a la izquierda del minimapa; se desvanecen a los 6 s
+    drawKillFeed() {
+        const ctx = this.ctx;
+        const now = Date.now();
+        const right = this.canvas.width - 150 - 30;
+        let y = this.canvas.height - 150 - 200 + 14;
+
+        this.killFeed = this.killFeed.filter(entry => now - entry.createdAt < 6000);
+
+        ctx.font = '13px Arial';
+        ctx.textAlign = 'left';
+        this.killFeed.forEach(entry => {
+            const alpha = Math.min(1, (6000 - (now - entry.createdAt)) / 1000);
+            const killer = entry.killerName ? `${entry.killerName} ` : '';
+            const weapon = ` ${entry.weapon} `;
+            const width = ctx.measureText(killer + weapon + entry.victimName).width;
+            let x = right - width;
+
+            ctx.globalAlpha = alpha;
+            ctx.fillStyle = entry.mine ? 'rgba(120, 20, 20, 0.7)' : 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x - 6, y - 13, width + 12, 18);
+
+            ctx.fillStyle = entry.killerColor;
+            ctx.fillText(killer, x, y);
+            x += ctx.measureText(killer).width;
+            ctx.fillStyle = 'white';
+            ctx.fillText(weapon, x, y);
+            x += ctx.measureText(weapon).width;
+            ctx.fillStyle = entry.victimColor;
+            ctx.fillText(entry.victimName, x, y);
+
+            y += 22;
+        });
+        ctx.globalAlpha = 1;
     }
 
     drawMinimap() {
@@ -404,7 +1325,25 @@ class Game {
         const scaleY = minimapSize / this.worldHeight;
 
         // Dibujar jugadores en el minimapa
+        // Muros y agua
+        if (this.terrain) {
+            const size = this.terrain.tileSize;
+            for (let row = 0; row < this.terrain.rows; row++) {
+                for (let col = 0; col < this.terrain.cols; col++) {
+                    const type = this.terrain.getType(col, row);
+                    if (type === Terrain.TILE.EMPTY || type === Terrain.TILE.ICE) continue;
+
+                    this.ctx.fillStyle = type === Terrain.TILE.WATER ? 'rgba(30, 90, 180, 0.6)' :
+                        type === Terrain.TILE.TREES ? 'rgba(34, 110, 34, 0.6)' :
+                            type === Terrain.TILE.STEEL ? 'rgba(200, 200, 200, 0.6)' : 'rgba(160, 82, 45, 0.6)';
+                    this.ctx.fillRect(minimapX + col * size * scaleX, minimapY + row * size * scaleY,
+                        size * scaleX, size * scaleY);
+                }
+            }
+        }
+
         this.players.forEach((player) => {
+            if (!player.alive || this.isHidden(player)) return;
             const x = minimapX + player.x * scaleX;
             const y = minimapY + player.y * scaleY;
 
@@ -470,7 +1409,7 @@ class Game {
                 fpsTime = 0;
             }
 
-            this.update();
+            this.update(deltaTime);
             this.render();
 
             requestAnimationFrame(gameLoop);
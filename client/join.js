@@ -0,0 +1,121 @@
+// Pantalla de entrada: nombre, color y aspecto del tanque, recordados para la próxima vez
+class JoinScreen {
+    constructor(game) {
+        this.game = game;
+        this.socket = game.socket;
+        this.overlay = document.getElementById('joinOverlay');
+        this.nameInput = document.getElementById('playerNameInput');
+        this.colorInput = document.getElementById('playerColorInput');
+        this.skinInput = document.getElementById('playerSkinInput');
+        this.preview = document.getElementById('tankPreview');
+
+        // Hasta elegir tanque no se pasa al selector de salas
+        this.entered = false;
+
+        Object.entries(TANK_SKINS).forEach(([id, skin]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = skin.name;
+            this.skinInput.appendChild(option);
+        });
+
+        const saved = this.saved();
+        if (saved) {
+            this.nameInput.value = saved.name;
+            this.colorInput.value = saved.color;
+            this.skinInput.value = saved.skin;
+        }
+
+        this.setupEvents();
+        this.drawPreview();
+    }
+
+    setupEvents() {
+        this.colorInput.addEventListener('input', () => this.drawPreview());
+        this.skinInput.addEventListener('change', () => this.drawPreview());
+
+        document.getElementById('joinBtn').addEventListener('click', () => {
+            this.submit(this.current());
+        });
+
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.submit(this.current());
+        });
+
+        document.getElementById('customizeBtn').addEventListener('click', () => {
+            this.show();
+        });
+
+        // Sin nombre guardado se propone el del perfil
+        this.socket.on('profile', (profile) => {
+            if (!this.nameInput.value && profile.name) this.nameInput.value = profile.name;
+        });
+    }
+
+    saved() {
+        try {
+            return JSON.parse(localStorage.getItem('tankIdentity'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    current() {
+        return {
+            name: this.nameInput.value,
+            color: this.colorInput.value,
+            skin: this.skinInput.value
+        };
+    }
+
+    // Con una elección guardada se entra directamente; si el servidor la rechaza se pide otra
+    onConnect() {
+        this.entered = false;
+        const saved = this.saved();
+        if (saved) {
+            this.submit(saved);
+        } else {
+            this.show();
+        }
+    }
+
+    submit(identity) {
+        this.socket.emit('setIdentity', identity, (result) => {
+            if (!result || !result.ok) {
+                this.show((result && result.error) || 'No se pudo guardar');
+                return;
+            }
+
+            localStorage.setItem('tankIdentity', JSON.stringify(result.identity));
+            this.hide();
+
+            if (!this.entered) {
+                this.entered = true;
+                this.game.lobby.onConnect();
+            }
+        });
+    }
+
+    show(error) {
+        document.getElementById('joinError').textContent = error || '';
+        this.overlay.style.display = 'flex';
+        this.drawPreview();
+        this.nameInput.focus();
+    }
+
+    hide() {
+        this.overlay.style.display = 'none';
+    }
+
+    drawPreview() {
+        const ctx = this.preview.getContext('2d');
+        ctx.clearRect(0, 0, this.preview.width, this.preview.height);
+        this.game.drawTankBody(ctx, {
+            x: this.preview.width / 2 - 10,
+            y: this.preview.height / 2,
+            angle: 0,
+            color: this.colorInput.value,
+            skin: this.skinInput.value
+        });
+    }
+}
@@ -0,0 +1,244 @@
+// Clave secreta del perfil: identifica al jugador entre sesiones para guardar sus estadísticas
+function profileKey() {
+    let key = localStorage.getItem('tankProfileKey');
+    if (!key) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        key = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('tankProfileKey', key);
+    }
+    return key;
+}
+
+// Selector de salas: partida rápida, unirse por código o crear una sala nueva
+class Lobby {
+    constructor(game) {
+        this.game = game;
+        this.socket = game.socket;
+        this.overlay = document.getElementById('lobbyOverlay');
+        this.refreshInterval = null;
+
+        // Código de sala compartido por enlace: /?room=ABCDE, y &spectate=1 para entrar a mirar
+        const params = new URLSearchParams(window.location.search);
+        this.roomCode = params.get('room');
+        this.spectating = params.get('spectate') === '1';
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        document.getElementById('quickMatchBtn').addEventListener('click', () => {
+            this.join(null);
+        });
+
+        document.getElementById('joinCodeBtn').addEventListener('click', () => {
+            const code = document.getElementById('joinCodeInput').value.trim();
+            if (code) this.join(code);
+        });
+
+        document.getElementById('spectateCodeBtn').addEventListener('click', () => {
+            const code = document.getElementById('joinCodeInput').value.trim();
+            if (code) this.spectate(code);
+        });
+
+        document.getElementById('createRoomBtn').addEventListener('click', () => {
+            this.create({
+                name: document.getElementById('roomNameInput').value,
+                mode: document.getElementById('roomModeInput').value,
+                isPublic: document.getElementById('roomPublicInput').checked,
+                friendlyFire: document.getElementById('roomFriendlyFireInput').checked,
+                bots: document.getElementById('roomBotsInput').value,
+                botDifficulty: document.getElementById('roomBotDifficultyInput').value
+            });
+        });
+
+        document.getElementById('refreshRoomsBtn').addEventListener('click', () => {
+            this.refresh();
+        });
+
+        document.getElementById('leaveRoomBtn').addEventListener('click', () => {
+            this.leave();
+        });
+
+        // El servidor solo comparte el id público; la clasificación lo usa para resaltar tu fila
+        this.socket.on('profile', (profile) => {
+            localStorage.setItem('tankProfileId', profile.id);
+            this.renderProfile(profile);
+        });
+    }
+
+    renderProfile(profile) {
+        const summary = document.getElementById('profileSummary');
+        if (!profile.matches && !profile.timePlayed) {
+            summary.textContent = 'Juega una partida para empezar tu historial';
+            return;
+        }
+        const minutes = Math.round(profile.timePlayed / 60);
+        summary.textContent = `${profile.name} · ${profile.matches} partidas · ${profile.wins} victorias · ${profile.kills} bajas · K/D ${profile.kd} · ${minutes} min`;
+    }
+
+    // Al (re)conectar se vuelve a la última sala; sin sala se muestra el selector
+    onConnect() {
+        if (this.roomCode && this.spectating) {
+            this.spectate(this.roomCode);
+        } else if (this.roomCode) {
+            this.join(this.roomCode);
+        } else {
+            this.show();
+        }
+    }
+
+    join(code) {
+        this.socket.emit('joinRoom', {code}, (result) => this.handleResult(result));
+    }
+
+    spectate(code) {
+        this.socket.emit('joinRoom', {code, spectate: true}, (result) => this.handleResult(result));
+    }
+
+    create(options) {
+        this.socket.emit('createRoom', options, (result) => this.handleResult(result));
+    }
+
+    leave() {
+        this.socket.emit('leaveRoom');
+        sessionStorage.removeItem('tankResumeToken');
+        this.roomCode = null;
+        this.game.resetWorld();
+        this.game.map = null;
+        this.updateUrl();
+        this.show();
+    }
+
+    handleResult(result) {
+        if (!result || !result.ok) {
+            this.roomCode = null;
+            this.updateUrl();
+            this.show((result && result.error) || 'No se pudo entrar en la sala');
+            return;
+        }
+
+        this.roomCode = result.code;
+        this.spectating = result.spectator === true;
+        this.updateUrl();
+        this.hide();
+    }
+
+    updateUrl() {
+        const url = new URL(window.location.href);
+        if (this.roomCode) {
+            url.searchParams.set('room', this.roomCode);
+        } else {
+            url.searchParams.delete('room');
+        }
+        if (this.roomCode && this.spectating) {
+            url.searchParams.set('spectate', '1');
+        } else {
+            url.searchParams.delete('spectate');
+        }
+        window.history.replaceState(null, '', url);
+        document.getElementById('roomCode').textContent = this.roomCode || '-';
+    }
+
+    show(error) {
+        document.getElementById('lobbyError').textContent = error || '';
+        this.overlay.style.display = 'flex';
+        this.refresh();
+        this.refreshReplays();
+
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = setInterval(() => this.refresh(), 3000);
+    }
+
+    hide() {
+        this.overlay.style.display = 'none';
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = null;
+    }
+
+    async refresh() {
+        try {
+            const response = await fetch('/api/rooms');
+            const data = await response.json();
+            this.renderRooms(data.rooms);
+        } catch (error) {
+            console.error('Error cargando salas:', error);
+        }
+    }
+
+    async refreshReplays() {
+        try {
+            const response = await fetch('/api/replays');
+            const data = await response.json();
+            this.renderReplays(data.replays.slice(0, 10));
+        } catch (error) {
+            console.error('Error cargando repeticiones:', error);
+        }
+    }
+
+    renderReplays(replays) {
+        const list = document.getElementById('replayList');
+        list.innerHTML = '';
+
+        if (replays.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No hay partidas grabadas';
+            list.appendChild(empty);
+            return;
+        }
+
+        replays.forEach(replay => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const date = new Date(replay.startedAt).toLocaleString();
+            const minutes = Math.ceil(replay.duration / 60);
+            label.textContent = `${replay.roomName} · ${replay.mode} · ${replay.map} · ${date} · ${minutes} min`;
+
+            const link = document.createElement('button');
+            link.textContent = '▶️';
+            link.title = 'Ver repetición';
+            link.addEventListener('click', () => {
+                window.location.href = `/?replay=${encodeURIComponent(replay.id)}`;
+            });
+
+            item.appendChild(label);
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+    }
+
+    renderRooms(rooms) {
+        const list = document.getElementById('roomList');
+        list.innerHTML = '';
+
+        if (rooms.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No hay salas públicas. ¡Crea una!';
+            list.appendChild(empty);
+            return;
+        }
+
+        rooms.forEach(room => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const bots = room.bots > 0 ? ` (+${room.bots} 🤖)` : '';
+            const spectators = room.spectators > 0 ? ` · ${room.spectators} 👁️` : '';
+            label.textContent = `${room.name} · ${room.mode} · ${room.map} · ${room.players}/${room.maxPlayers}${bots}${spectators}`;
+
+            const button = document.createElement('button');
+            button.textContent = room.code;
+            button.disabled = room.players >= room.maxPlayers;
+            button.addEventListener('click', () => this.join(room.code));
+
+            // Mirar no ocupa plaza, así que también vale con la sala llena
+            const watch = document.createElement('button');
+            watch.textContent = '👁️';
+            watch.title = 'Entrar como espectador';
+            watch.addEventListener('click', () => this.spectate(room.code));
+
+            item.appendChild(label);
+            item.appendChild(button);
+            item.appendChild(watch);
+            list.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,97 @@
+// Estimación del reloj del servidor a partir de muestras ida y vuelta
+class ClockSync {
+    constructor(socket) {
+        this.socket = socket;
+        this.offset = 0;
+        this.rtt = 0;
+        this.samples = [];
+        this.interval = null;
+    }
+
+    start() {
+        this.samples = [];
+
+        // Ráfaga inicial para tener una estimación rápida, luego una muestra cada 5 s
+        for (let i = 0; i < 5; i++) {
+            setTimeout(() => this.sample(), i * 200);
+        }
+
+        clearInterval(this.interval);
+        this.interval = setInterval(() => this.sample(), 5000);
+    }
+
+    sample() {
+        const sentAt = Date.now();
+        this.socket.emit('timeSync', (serverTime) => {
+            const now = Date.now();
+            const rtt = now - sentAt;
+
+            this.samples.push({rtt, offset: serverTime + rtt / 2 - now});
+            if (this.samples.length > 8) this.samples.shift();
+
+            // La muestra con menor RTT es la que menos ruido de red tiene
+            const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+            this.offset = best.offset;
+            this.rtt = best.rtt;
+
+            const latency = document.getElementById('latency');
+            if (latency) latency.textContent = `${Math.round(this.rtt)}ms`;
+        });
+    }
+
+    serverNow() {
+        return Date.now() + this.offset;
+    }
+}
+
+// Historial de posiciones de una entidad remota, ordenado por tiempo del servidor
+class SnapshotBuffer {
+    constructor(limit = 60) {
+        this.limit = limit;
+        this.snapshots = [];
+    }
+
+    reset(snapshot) {
+        this.snapshots = [snapshot];
+    }
+
+    push(snapshot) {
+        // Los paquetes pueden llegar desordenados
+        let i = this.snapshots.length;
+        while (i > 0 && this.snapshots[i - 1].t > snapshot.t) i--;
+        this.snapshots.splice(i, 0, snapshot);
+
+        if (this.snapshots.length > this.limit) {
+            this.snapshots.shift();
+        }
+    }
+
+    // Estado interpolado en el instante t; fuera del rango se mantiene el extremo
+    sample(t) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return null;
+        if (t <= snapshots[0].t) return snapshots[0];
+
+        for (let i = snapshots.length - 1; i > 0; i--) {
+            const from = snapshots[i - 1];
+            const to = snapshots[i];
+            if (t >= from.t && t <= to.t) {
+                const alpha = to.t === from.t ? 1 : (t - from.t) / (to.t - from.t);
+                return {
+                    t,
+                    x: from.x + (to.x - from.x) * alpha,
+                    y: from.y + (to.y - from.y) * alpha,
+                    angle: SnapshotBuffer.lerpAngle(from.angle, to.angle, alpha)
+                };
+            }
+        }
+
+        return snapshots[snapshots.length - 1];
+    }
+
+    // Interpolación de ángulos en grados por el camino más corto
+    static lerpAngle(from, to, alpha) {
+        const delta = ((to - from) % 360 + 540) % 360 - 180;
+        return from + delta * alpha;
+    }
+}
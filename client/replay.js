@@ -0,0 +1,195 @@
+// Repeticiones: una grabación del servidor reproducida con los mismos manejadores y el mismo render del juego
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Ocupa el lugar del socket: los manejadores del juego reciben los eventos grabados y nada sale hacia el servidor
+class ReplaySocket {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, []);
+        this.handlers.get(event).push(handler);
+    }
+
+    emit() {}
+
+    deliver(event, data) {
+        (this.handlers.get(event) || []).forEach(handler => handler(data));
+    }
+}
+
+class ReplayPlayer {
+    constructor(game, id) {
+        this.game = game;
+        this.id = id;
+        this.entries = [];
+        this.cursor = 0;
+        this.startedAt = 0;
+        this.duration = 0;
+        this.position = 0; // ms desde el inicio de la grabación
+        this.playing = false;
+        this.speed = 1;
+        this.seeking = false;
+        this.rosterChanged = true;
+
+        this.bar = document.getElementById('replayControls');
+        this.seekInput = document.getElementById('replaySeek');
+        this.followInput = document.getElementById('replayFollow');
+
+        // En una repetición no hay sala que cambiar ni tanque que personalizar
+        document.getElementById('leaveRoomBtn').style.display = 'none';
+        document.getElementById('customizeBtn').style.display = 'none';
+
+        this.setupControls();
+        this.load();
+    }
+
+    setupControls() {
+        const speedInput = document.getElementById('replaySpeed');
+        REPLAY_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            option.selected = speed === 1;
+            speedInput.appendChild(option);
+        });
+        speedInput.addEventListener('change', () => {
+            this.speed = Number(speedInput.value);
+        });
+
+        document.getElementById('replayPlayBtn').addEventListener('click', () => this.togglePlaying());
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Space') this.togglePlaying();
+        });
+
+        this.seekInput.addEventListener('input', () => {
+            this.seeking = true;
+            this.seek(Number(this.seekInput.value));
+        });
+        this.seekInput.addEventListener('change', () => {
+            this.seeking = false;
+        });
+
+        this.followInput.addEventListener('change', () => {
+            const camera = this.game.spectatorCamera;
+            const value = this.followInput.value;
+            if (value === 'overview') {
+                camera.setView('overview');
+            } else {
+                camera.followId = value === 'auto' ? null : value;
+                camera.setView('follow');
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const response = await fetch(`/api/replays/${encodeURIComponent(this.id)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const text = await response.text();
+            this.entries = text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+        } catch (error) {
+            console.error('Error cargando la repetición:', error);
+            this.bar.style.display = 'flex';
+            document.getElementById('replayTime').textContent = 'No se pudo cargar la repetición';
+            return;
+        }
+
+        this.startedAt = this.entries[0].t;
+        this.duration = this.entries[this.entries.length - 1].t - this.startedAt;
+        this.seekInput.max = this.duration;
+        this.bar.style.display = 'flex';
+
+        this.restart();
+        this.setPlaying(true);
+    }
+
+    // Vuelta al estado inicial: la cabecera es el estado que recibiría un espectador al empezar la partida
+    restart() {
+        this.cursor = 1;
+        this.position = 0;
+        this.game.socket.deliver('gameState', this.entries[0].data);
+        this.rosterChanged = true;
+    }
+
+    // Entrega en orden todo lo grabado hasta el instante t del servidor
+    advance(t) {
+        while (this.cursor < this.entries.length && this.entries[this.cursor].t <= t) {
+            const entry = this.entries[this.cursor++];
+            if (entry.type === 'input' || entry.type === 'end') continue;
+
+            this.game.socket.deliver(entry.type, entry.data);
+            if (entry.type === 'playerJoined' || entry.type === 'playerLeft' || entry.type === 'playerUpdated') {
+                this.rosterChanged = true;
+            }
+        }
+    }
+
+    // Hacia atrás hay que rehacer desde el principio: los snapshots son deltas del anterior
+    seek(position) {
+        position = Math.max(0, Math.min(this.duration, position));
+        if (position < this.position) this.restart();
+
+        this.position = position;
+        this.advance(this.startedAt + position);
+
+        // Lo efímero que se ha saltado no debe aparecer de golpe
+        this.game.explosions = [];
+        this.game.killFeed = [];
+    }
+
+    togglePlaying() {
+        if (this.entries.length === 0) return;
+        if (!this.playing && this.position >= this.duration) this.seek(0);
+        this.setPlaying(!this.playing);
+    }
+
+    setPlaying(playing) {
+        this.playing = playing;
+        document.getElementById('replayPlayBtn').textContent = playing ? '⏸️' : '▶️';
+    }
+
+    update(deltaTime) {
+        if (this.entries.length === 0) return;
+
+        if (this.playing && !this.seeking) {
+            this.position = Math.min(this.duration, this.position + deltaTime * this.speed);
+            this.advance(this.startedAt + this.position);
+            if (this.position >= this.duration) this.setPlaying(false);
+        }
+
+        // El reloj del juego marca el tiempo de la grabación: interpolación y balas funcionan igual que en directo
+        this.game.clock.offset = this.startedAt + this.position - Date.now();
+
+        if (!this.seeking) this.seekInput.value = this.position;
+        document.getElementById('replayTime').textContent = `${this.formatTime(this.position)} / ${this.formatTime(this.duration)}`;
+
+        if (this.rosterChanged) {
+            this.rosterChanged = false;
+            this.updateFollowOptions();
+        }
+    }
+
+    updateFollowOptions() {
+        const selected = this.followInput.value || 'auto';
+        this.followInput.innerHTML = '';
+
+        const options = [['auto', '🎥 Automática'], ['overview', '🗺️ Mapa completo']];
+        this.game.players.forEach(player => options.push([player.id, player.name]));
+
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selected;
+            this.followInput.appendChild(option);
+        });
+    }
+
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,64 @@
+// Marcador de la partida: se muestra mientras se mantiene pulsado Tab
+class Scoreboard {
+    constructor(game) {
+        this.game = game;
+        this.socket = game.socket;
+        this.overlay = document.getElementById('scoreboard');
+        this.refreshInterval = null;
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'Tab' || e.target.tagName === 'INPUT') return;
+            e.preventDefault();
+            if (!e.repeat) this.show();
+        });
+
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Tab') this.hide();
+        });
+    }
+
+    show() {
+        if (!this.game.map) return;
+
+        this.overlay.style.display = 'flex';
+        this.refresh();
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = setInterval(() => this.refresh(), 1000);
+    }
+
+    hide() {
+        this.overlay.style.display = 'none';
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = null;
+    }
+
+    refresh() {
+        this.socket.emit('getScoreboard', (lines) => {
+            this.render(document.getElementById('scoreboardTable'), lines);
+        });
+    }
+
+    render(table, lines) {
+        table.innerHTML = '';
+
+        const header = table.insertRow();
+        ['Jugador', 'Bajas', 'Muertes', 'Asist.', 'Daño', 'Precisión'].forEach(title => {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            header.appendChild(cell);
+        });
+
+        lines.forEach(line => {
+            const row = table.insertRow();
+            if (line.id === this.game.myPlayerId) row.className = 'me';
+
+            const name = row.insertCell();
+            name.textContent = line.name;
+            if (TEAMS[line.team]) name.style.color = TEAMS[line.team].color;
+
+            [line.kills, line.deaths, line.assists, line.damageDealt, `${line.accuracy}%`].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+    }
+}
@@ -0,0 +1,94 @@
+// Cámara del espectador: sigue a un jugador, se mueve libremente o muestra el mapa completo
+const SPECTATOR_ZOOM = 2; // respecto a la escala con la que cabe el mapa entero
+const FREE_CAMERA_SPEED = 600; // unidades del mundo por segundo
+
+class SpectatorCamera {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        this.view = 'follow'; // 'follow', 'free' u 'overview'
+        this.followId = null;
+        this.center = {x: 0, y: 0};
+        this.info = document.getElementById('spectatorInfo');
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.active || e.target.tagName === 'INPUT') return;
+
+            if (e.code === 'KeyQ') this.cycle(-1);
+            if (e.code === 'KeyE') this.cycle(1);
+            if (e.code === 'KeyZ') this.setView(this.view === 'overview' ? 'follow' : 'overview');
+        });
+    }
+
+    start() {
+        this.active = true;
+        this.followId = null;
+        this.center = {x: this.game.worldWidth / 2, y: this.game.worldHeight / 2};
+        this.info.style.display = 'block';
+        this.setView('follow');
+    }
+
+    stop() {
+        this.active = false;
+        this.info.style.display = 'none';
+        this.game.handleResize();
+    }
+
+    zoom() {
+        return this.active && this.view !== 'overview' ? SPECTATOR_ZOOM : 1;
+    }
+
+    setView(view) {
+        this.view = view;
+        this.game.handleResize();
+        this.updateInfo();
+    }
+
+    // Siguiente o anterior tanque vivo
+    cycle(direction) {
+        const ids = Array.from(this.game.players.values()).filter(p => p.alive).map(p => p.id);
+        if (ids.length === 0) return;
+
+        const index = ids.indexOf(this.followId);
+        this.followId = ids[(index + direction + ids.length) % ids.length];
+        this.setView('follow');
+    }
+
+    update(deltaTime) {
+        if (!this.active) return;
+
+        // Las flechas sueltan al jugador seguido y mueven la cámara
+        const keys = this.game.keys;
+        const dx = (keys['KeyD'] || keys['ArrowRight'] ? 1 : 0) - (keys['KeyA'] || keys['ArrowLeft'] ? 1 : 0);
+        const dy = (keys['KeyS'] || keys['ArrowDown'] ? 1 : 0) - (keys['KeyW'] || keys['ArrowUp'] ? 1 : 0);
+        if (dx !== 0 || dy !== 0) {
+            if (this.view !== 'free') this.setView('free');
+            this.center.x += dx * FREE_CAMERA_SPEED * deltaTime / 1000;
+            this.center.y += dy * FREE_CAMERA_SPEED * deltaTime / 1000;
+        }
+
+        if (this.view === 'follow') {
+            const target = this.game.players.get(this.followId);
+            if (target && target.alive) {
+                this.center.x = target.x;
+                this.center.y = target.y;
+            } else {
+                this.cycle(1);
+            }
+        }
+
+        this.center.x = Math.max(0, Math.min(this.game.worldWidth, this.center.x));
+        this.center.y = Math.max(0, Math.min(this.game.worldHeight, this.center.y));
+        this.updateInfo();
+    }
+
+    updateInfo() {
+        const target = this.game.players.get(this.followId);
+        const views = {
+            follow: target ? `Siguiendo a ${target.name}` : 'Esperando jugadores',
+            free: 'Cámara libre',
+            overview: 'Mapa completo'
+        };
+        document.getElementById('spectatorView').textContent = `👁️ Espectador · ${views[this.view]}`;
+    }
+}
@@ -0,0 +1,395 @@
+// Load simulator: N headless clients that join rooms, drive around at random, shoot and stream
+// synthetic voice packets against a running server, then report how the server coped.
+//   npm run audio-test -- --clients 40 --duration 60
+//   node scripts/audio-test.js --help
+const http = require('http');
+const https = require('https');
+const {io} = require('socket.io-client');
+const {monitorEventLoopDelay} = require('perf_hooks');
+const Movement = require('../shared/movement');
+
+const SNAPSHOT_INTERVAL = 3 * 1000 / Movement.TICK_RATE; // room.js sends a snapshot every 3 ticks
+const MAX_PLAYERS_PER_ROOM = 32; // as in rooms.js
+
+const OPTIONS = {
+    url: {default: `http://localhost:${process.env.PORT || 65534}`, help: 'servidor a probar'},
+    clients: {default: 20, help: 'jugadores simulados'},
+    perRoom: {default: 16, help: 'jugadores por sala; se crean las salas necesarias'},
+    room: {default: '', help: 'entrar en esta sala en vez de crear salas'},
+    duration: {default: 30, help: 'segundos de carga, una vez dentro todos'},
+    rampUp: {default: 5, help: 'segundos en los que se van conectando los clientes'},
+    inputRate: {default: 60, help: 'órdenes de movimiento por segundo y cliente (el juego manda 60)'},
+    fireRate: {default: 2, help: 'disparos por segundo y cliente'},
+    talkers: {default: 1, help: 'fracción de clientes que hablan, de 0 a 1'},
+    audioRate: {default: 5, help: 'paquetes de voz por segundo de cada uno (el navegador graba trozos de 200 ms)'},
+    audioBytes: {default: 1600, help: 'bytes por paquete de voz (200 ms de opus a 64 kbps)'},
+    report: {default: 5, help: 'segundos entre líneas de progreso'}
+};
+
+function parseArgs(argv) {
+    const options = {};
+    Object.entries(OPTIONS).forEach(([name, option]) => {
+        options[name] = option.default;
+    });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        const match = /^--([a-zA-Z-]+)(?:=(.*))?$/.exec(arg);
+        const name = match && match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+        if (!match || !OPTIONS[name]) throw new Error(`Opción desconocida: ${arg}`);
+
+        const raw = match[2] !== undefined ? match[2] : argv[++i];
+        if (raw === undefined) throw new Error(`Falta el valor de --${match[1]}`);
+        if (typeof OPTIONS[name].default === 'number') {
+            const value = Number(raw);
+            if (!Number.isFinite(value) || value < 0) throw new Error(`--${match[1]} debe ser un número positivo`);
+            options[name] = value;
+        } else {
+            options[name] = raw;
+        }
+    }
+
+    options.clients = Math.max(1, Math.floor(options.clients));
+    options.perRoom = Math.max(1, Math.min(MAX_PLAYERS_PER_ROOM, Math.floor(options.perRoom)));
+    options.talkers = Math.min(1, options.talkers);
+    return options;
+}
+
+function printHelp() {
+    console.log('Uso: node scripts/audio-test.js [opciones]\n');
+    Object.entries(OPTIONS).forEach(([name, option]) => {
+        const flag = `--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+        console.log(`  ${flag.padEnd(14)} ${option.help} (por defecto: ${option.default === '' ? 'ninguno' : option.default})`);
+    });
+}
+
+// Small sample sets: sorting on demand is fine
+class Samples {
+    constructor() {
+        this.values = [];
+    }
+
+    add(value) {
+        this.values.push(value);
+    }
+
+    percentile(q) {
+        if (this.values.length === 0) return 0;
+        const sorted = this.values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+    }
+
+    max() {
+        return this.values.reduce((max, value) => Math.max(max, value), 0);
+    }
+
+    describe(unit = 'ms') {
+        if (this.values.length === 0) return 'sin muestras';
+        return `p50 ${this.percentile(0.5).toFixed(1)} ${unit} · p99 ${this.percentile(0.99).toFixed(1)} ${unit} · máx ${this.max().toFixed(1)} ${unit}`;
+    }
+}
+
+const totals = {
+    eventsIn: new Map(), // event -> count, everything the clients received
+    eventsOut: new Map(), // event -> count, everything the clients sent
+    voiceSent: 0,
+    voiceReceived: 0,
+    disconnects: 0,
+    errors: 0,
+    snapshotLag: new Samples(), // ms a snapshot came later than SNAPSHOT_INTERVAL after the previous one
+    snapshotDelay: new Samples(), // ms from the server taking a snapshot to a client receiving it
+    voiceLatency: new Samples() // ms from one simulated client sending voice to another receiving it
+};
+
+function count(map, event, amount = 1) {
+    map.set(event, (map.get(event) || 0) + amount);
+}
+
+class SimulatedClient {
+    constructor(index, options) {
+        this.index = index;
+        this.options = options;
+        this.talks = index < Math.round(options.clients * options.talkers);
+        this.measuresSnapshots = false; // one client per room, the others see the same snapshots
+        this.socket = null;
+        this.inRoom = false;
+        this.seq = 0;
+        this.audioSeq = 0;
+        this.dx = 0;
+        this.dy = 0;
+        this.turnAt = 0;
+        this.lastSnapshotT = null;
+    }
+
+    emit(event, ...args) {
+        count(totals.eventsOut, event);
+        this.socket.emit(event, ...args);
+    }
+
+    request(event, data) {
+        return new Promise((resolve) => this.emit(event, data, resolve));
+    }
+
+    async connect() {
+        this.socket = io(this.options.url, {transports: ['websocket'], reconnection: false});
+
+        this.socket.onAny((event) => count(totals.eventsIn, event));
+        this.socket.on('snapshot', (snapshot) => this.onSnapshot(snapshot));
+        this.socket.on('audioStream', (data) => {
+            totals.voiceReceived++;
+            if (data.timestamp) totals.voiceLatency.add(Date.now() - data.timestamp);
+        });
+        this.socket.on('disconnect', () => {
+            if (this.inRoom) totals.disconnects++;
+            this.inRoom = false;
+        });
+
+        await new Promise((resolve, reject) => {
+            this.socket.once('connect', resolve);
+            this.socket.once('connect_error', reject);
+        });
+
+        const color = `#${(0x404040 + this.index * 0x0a1f33 % 0xbfbfbf).toString(16).padStart(6, '0')}`;
+        await this.request('setIdentity', {name: `Carga ${String(this.index + 1).padStart(3, '0')}`, color});
+    }
+
+    async join(code) {
+        const result = code
+            ? await this.request('joinRoom', {code})
+            : await this.request('createRoom', {name: `Prueba de carga ${this.index + 1}`, isPublic: false, bots: 'off'});
+        if (!result || !result.ok) throw new Error(result ? result.error : 'sin respuesta');
+        this.inRoom = true;
+        return result.code;
+    }
+
+    onSnapshot(snapshot) {
+        this.emit('snapshotAck', snapshot.seq);
+        if (!this.measuresSnapshots) return;
+
+        totals.snapshotDelay.add(Date.now() - snapshot.t);
+        if (this.lastSnapshotT !== null) {
+            totals.snapshotLag.add(Math.max(0, snapshot.t - this.lastSnapshotT - SNAPSHOT_INTERVAL));
+        }
+        this.lastSnapshotT = snapshot.t;
+    }
+
+    // Called at inputRate: a new random direction every 0.5-2 s, sometimes standing still
+    sendInput(now) {
+        if (!this.inRoom) return;
+
+        if (now >= this.turnAt) {
+            const direction = Math.floor(Math.random() * 5);
+            this.dx = [0, 1, -1, 0, 0][direction];
+            this.dy = [0, 0, 0, 1, -1][direction];
+            this.turnAt = now + 500 + Math.random() * 1500;
+        }
+
+        const fire = Math.random() < this.options.fireRate / this.options.inputRate;
+        this.emit('playerInput', {seq: ++this.seq, dx: this.dx, dy: this.dy, fire});
+    }
+
+    sendVoice() {
+        if (!this.inRoom || !this.talks) return;
+        // Same fields the browser sends: the guard on the server rejects anything else
+        this.emit('audioStream', {data: Buffer.alloc(this.options.audioBytes, ++this.audioSeq % 256), timestamp: Date.now()});
+        totals.voiceSent++;
+    }
+
+    close() {
+        this.inRoom = false;
+        if (this.socket) this.socket.close();
+    }
+}
+
+// The server's own view: /metrics for tick times and voice counts, /health for memory.
+// http.get rather than fetch, which Node 16 (still in "engines") doesn't have
+function fetchText(url) {
+    const client = url.startsWith('https:') ? https : http;
+    return new Promise((resolve) => {
+        const request = client.get(url, (response) => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                resolve(null);
+                return;
+            }
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => body += chunk);
+            response.on('end', () => resolve(body));
+        });
+        request.on('error', () => resolve(null));
+        request.setTimeout(5000, () => request.destroy());
+    });
+}
+
+function parseMetrics(text) {
+    if (!text) return null;
+    const values = new Map();
+    text.split('\n').forEach(line => {
+        if (line === '' || line.startsWith('#')) return;
+        const space = line.lastIndexOf(' ');
+        values.set(line.slice(0, space), Number(line.slice(space + 1)));
+    });
+    return values;
+}
+
+async function serverSnapshot(url) {
+    const metrics = parseMetrics(await fetchText(`${url}/metrics`));
+    const healthText = await fetchText(`${url}/health`);
+    return {metrics, memory: healthText ? JSON.parse(healthText).memory : null, at: Date.now()};
+}
+
+function metricDelta(before, after, name) {
+    if (!before.metrics || !after.metrics) return null;
+    return (after.metrics.get(name) || 0) - (before.metrics.get(name) || 0);
+}
+
+// Upper bound of the bucket holding the q-th tick, from the histogram deltas
+function tickPercentile(before, after, q) {
+    const total = metricDelta(before, after, 'tank_tick_duration_seconds_count');
+    if (!total) return null;
+    const buckets = Array.from(after.metrics.keys())
+        .filter(key => key.startsWith('tank_tick_duration_seconds_bucket'))
+        .map(key => ({le: key.match(/le="([^"]+)"/)[1], key}));
+    for (const bucket of buckets) {
+        if (metricDelta(before, after, bucket.key) >= q * total) {
+            return bucket.le === '+Inf' ? Infinity : Number(bucket.le) * 1000;
+        }
+    }
+    return Infinity;
+}
+
+function megabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function rates(map, seconds, limit = 6) {
+    return Array.from(map.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([event, value]) => `${event} ${(value / seconds).toFixed(0)}/s`)
+        .join(', ');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const loopDelay = monitorEventLoopDelay({resolution: 10});
+    loopDelay.enable();
+
+    console.log(`🧪 ${options.clients} clientes contra ${options.url}, ${options.duration} s de carga`);
+    const clients = Array.from({length: options.clients}, (_, i) => new SimulatedClient(i, options));
+
+    // Connect gradually so the join burst isn't the thing being measured
+    const rooms = [];
+    for (const client of clients) {
+        try {
+            await client.connect();
+            const roomIndex = Math.floor(client.index / options.perRoom);
+            if (options.room) {
+                await client.join(options.room);
+            } else if (rooms[roomIndex]) {
+                await client.join(rooms[roomIndex]);
+            } else {
+                rooms[roomIndex] = await client.join(null);
+                client.measuresSnapshots = true;
+            }
+            if (options.room && client.index === 0) client.measuresSnapshots = true;
+        } catch (error) {
+            totals.errors++;
+            console.error(`❌ Cliente ${client.index + 1}: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, options.rampUp * 1000 / options.clients));
+    }
+
+    const joined = clients.filter(client => client.inRoom).length;
+    console.log(`🚪 ${joined} de ${options.clients} clientes en ${options.room ? `la sala ${options.room}` : `${rooms.length} salas`}`);
+    if (joined === 0) {
+        clients.forEach(client => client.close());
+        process.exitCode = 1;
+        return;
+    }
+
+    const before = await serverSnapshot(options.url);
+    if (!before.metrics) console.log('⚠️ El servidor no expone /metrics: solo se mide desde los clientes');
+    const ownMemoryBefore = process.memoryUsage().rss;
+    const startedAt = Date.now();
+    totals.eventsIn.clear();
+    totals.eventsOut.clear();
+
+    // One timer drives every client, so hundreds of them don't mean hundreds of intervals
+    const inputTimer = setInterval(() => {
+        const now = Date.now();
+        clients.forEach(client => client.sendInput(now));
+    }, 1000 / Math.max(1, options.inputRate));
+    const voiceTimer = options.audioRate > 0
+        ? setInterval(() => clients.forEach(client => client.sendVoice()), 1000 / options.audioRate)
+        : null;
+
+    const memorySamples = [];
+    const reportTimer = setInterval(async () => {
+        const seconds = (Date.now() - startedAt) / 1000;
+        const health = await serverSnapshot(options.url);
+        if (health.memory) memorySamples.push({t: health.at, rss: health.memory.rss});
+        console.log(`⏱️ ${seconds.toFixed(0)} s: retraso del tick ${totals.snapshotLag.describe()}, voz ${totals.voiceSent} enviados / ${totals.voiceReceived} recibidos${health.memory ? `, memoria del servidor ${megabytes(health.memory.rss)}` : ''}`);
+    }, options.report * 1000);
+
+    await new Promise(resolve => setTimeout(resolve, options.duration * 1000));
+    clearInterval(inputTimer);
+    clearInterval(voiceTimer);
+    clearInterval(reportTimer);
+
+    // Let packets in flight arrive before comparing counts
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const after = await serverSnapshot(options.url);
+    if (after.memory) memorySamples.push({t: after.at, rss: after.memory.rss});
+    const seconds = (Date.now() - startedAt) / 1000;
+    clients.forEach(client => client.close());
+    loopDelay.disable();
+
+    console.log('\n📋 Resultado');
+    console.log(`   Clientes: ${joined} conectados, ${totals.errors} fallaron al entrar, ${totals.disconnects} desconectados durante la prueba`);
+
+    const tickMean = metricDelta(before, after, 'tank_tick_duration_seconds_sum') / metricDelta(before, after, 'tank_tick_duration_seconds_count');
+    if (before.metrics && Number.isFinite(tickMean)) {
+        console.log(`   Tick en el servidor: media ${(tickMean * 1000).toFixed(2)} ms, p99 ≤ ${tickPercentile(before, after, 0.99)} ms (presupuesto ${(1000 / Movement.TICK_RATE).toFixed(1)} ms)`);
+    }
+    console.log(`   Retraso del tick (snapshots más tarde de lo previsto): ${totals.snapshotLag.describe()}`);
+    console.log(`   Entrega de snapshots: ${totals.snapshotDelay.describe()}`);
+
+    console.log(`   Eventos recibidos por los clientes: ${rates(totals.eventsIn, seconds)}`);
+    console.log(`   Eventos enviados por los clientes: ${rates(totals.eventsOut, seconds)}`);
+    const bytesOut = metricDelta(before, after, 'tank_socket_bytes_sent_total');
+    if (bytesOut !== null) console.log(`   Tráfico de salida del servidor: ${(bytesOut / seconds / 1024).toFixed(1)} KB/s`);
+
+    console.log(`   Voz: ${totals.voiceSent} paquetes enviados, ${totals.voiceReceived} recibidos, latencia ${totals.voiceLatency.describe()}`);
+    const voiceIn = metricDelta(before, after, 'tank_voice_packets_total{outcome="received"}');
+    if (voiceIn !== null) {
+        const relayed = metricDelta(before, after, 'tank_voice_packets_total{outcome="relayed"}');
+        const dropped = metricDelta(before, after, 'tank_voice_packets_total{outcome="dropped"}');
+        console.log(`   Voz perdida: ${Math.max(0, totals.voiceSent - voiceIn)} no llegaron al servidor, ${dropped} descartados por él, ${Math.max(0, relayed - totals.voiceReceived)} reenviados que no llegaron`);
+    }
+
+    if (before.memory && after.memory) {
+        const minutes = (after.at - before.at) / 60000;
+        const growth = after.memory.rss - before.memory.rss;
+        console.log(`   Memoria del servidor: ${megabytes(before.memory.rss)} → ${megabytes(after.memory.rss)} (${growth >= 0 ? '+' : ''}${megabytes(growth)}, ${megabytes(growth / minutes)}/min); heap ${megabytes(before.memory.heapUsed)} → ${megabytes(after.memory.heapUsed)}`);
+        if (memorySamples.length > 0) console.log(`   Pico de memoria durante la prueba: ${megabytes(Math.max(...memorySamples.map(sample => sample.rss)))}`);
+    }
+
+    // If the simulator itself was starved, its numbers overstate the server's lag
+    console.log(`   Simulador: memoria +${megabytes(process.memoryUsage().rss - ownMemoryBefore)}, retraso de su bucle p99 ${(loopDelay.percentile(99) / 1e6).toFixed(1)} ms`);
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
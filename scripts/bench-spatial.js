@@ -0,0 +1,163 @@
+// Tick cost of a crowded room, 100 tanks driving around with 500 bullets in flight by default,
+// plus the two lookups the spatial grid took over, timed against a scan of every tank.
+//   node scripts/bench-spatial.js [tanks] [bullets] [ticks]
+
+// Quiet: the room logs every match start and end
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const {Room} = require('../server/room');
+const {loadMaps, loadPlaylist} = require('../server/maps');
+const {config} = require('../server/config');
+const Movement = require('../shared/movement');
+
+const TANKS = Number(process.argv[2]) || 100;
+const BULLETS = Number(process.argv[3]) || 500;
+const TICKS = Number(process.argv[4]) || 600;
+const TICK_MS = 1000 / Movement.TICK_RATE;
+const LOOKUP_ROUNDS = 200;
+
+// The room only talks to socket.io to broadcast; nothing is listening here
+const io = {
+    to: () => ({emit() {}}),
+    in: () => ({socketsLeave() {}}),
+    emit() {},
+    engine: {}
+};
+
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function report(label, samples) {
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    console.log(`${label.padEnd(28)} media ${mean.toFixed(3)} ms · p50 ${percentile(sorted, 0.5).toFixed(3)} · p95 ${percentile(sorted, 0.95).toFixed(3)} · máx ${sorted[sorted.length - 1].toFixed(3)}`);
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+const room = new Room(io, {
+    code: 'BENCH',
+    name: 'Benchmark',
+    isPublic: false,
+    modeId: 'free-for-all',
+    bots: 'off',
+    playlist: loadMaps(loadPlaylist())
+});
+
+let now = Date.now();
+room.startMatch(now);
+room.match.endsAt = Infinity;
+
+const tanks = [];
+for (let i = 0; i < TANKS; i++) {
+    const tank = room.addBot(`bench-${i}`, `Tanque ${i}`);
+    tank.benchInput = {dx: 0, dy: 0, changeAt: 0};
+    tank.benchSeq = 0;
+    tanks.push(tank);
+}
+
+function drive(tank) {
+    const input = tank.benchInput;
+    if (now >= input.changeAt) {
+        input.dx = Math.round(Math.random() * 2 - 1);
+        input.dy = input.dx === 0 ? Math.round(Math.random() * 2 - 1) : 0;
+        input.changeAt = now + 500 + Math.random() * 1500;
+    }
+    room.queueInput(tank, {seq: ++tank.benchSeq, dx: input.dx, dy: input.dy, fire: false});
+}
+
+// Bullets are added straight into the room so there are always BULLETS in flight
+function refillBullets() {
+    while (room.bullets.size < BULLETS) {
+        const shooter = tanks[Math.floor(Math.random() * tanks.length)];
+        const bullet = {
+            id: room.bulletIdCounter++,
+            playerId: shooter.id,
+            team: shooter.team,
+            x: shooter.x,
+            y: shooter.y,
+            originX: shooter.x,
+            originY: shooter.y,
+            angle: Math.floor(Math.random() * 4) * 90,
+            speed: config.bulletSpeed,
+            power: 1,
+            weapon: 'cannon',
+            createdAt: now
+        };
+        room.bullets.set(bullet.id, bullet);
+    }
+}
+
+const tickTimes = [];
+for (let i = 0; i < TICKS; i++) {
+    now += TICK_MS;
+    tanks.forEach(tank => {
+        if (room.players.has(tank.id)) drive(tank);
+    });
+    refillBullets();
+    tickTimes.push(time(() => room.tick(now)));
+}
+
+// Same questions asked both ways, on the positions the tanks ended up in
+const bullets = Array.from(room.bullets.values());
+const players = Array.from(room.players.values());
+
+function scanHits() {
+    let hits = 0;
+    bullets.forEach(bullet => {
+        for (const player of players) {
+            if (Math.hypot(bullet.x - player.x, bullet.y - player.y) < 20) {
+                hits++;
+                break;
+            }
+        }
+    });
+    return hits;
+}
+
+function gridHits() {
+    let hits = 0;
+    bullets.forEach(bullet => {
+        for (const player of room.tankGrid.query(bullet.x, bullet.y, 20)) {
+            if (Math.hypot(bullet.x - player.x, bullet.y - player.y) < 20) {
+                hits++;
+                break;
+            }
+        }
+    });
+    return hits;
+}
+
+function scanVoice() {
+    players.forEach(player => {
+        players.filter(other => other !== player && Math.hypot(player.x - other.x, player.y - other.y) <= config.voiceRadius);
+    });
+}
+
+function gridVoice() {
+    players.forEach(player => {
+        room.tankGrid.query(player.x, player.y, config.voiceRadius)
+            .filter(other => other !== player && Math.hypot(player.x - other.x, player.y - other.y) <= config.voiceRadius);
+    });
+}
+
+const lookups = {scanHits: [], gridHits: [], scanVoice: [], gridVoice: []};
+for (let i = 0; i < LOOKUP_ROUNDS; i++) {
+    lookups.scanHits.push(time(scanHits));
+    lookups.gridHits.push(time(gridHits));
+    lookups.scanVoice.push(time(scanVoice));
+    lookups.gridVoice.push(time(gridVoice));
+}
+
+console.log(`🧪 ${TANKS} tanques, ${BULLETS} balas, ${TICKS} ticks en "${room.map.name}" (${room.map.width}x${room.map.height})`);
+report('Tick completo', tickTimes);
+console.log(`   presupuesto por tick a ${Movement.TICK_RATE} Hz: ${TICK_MS.toFixed(3)} ms`);
+report('Impactos, recorriendo todo', lookups.scanHits);
+report('Impactos, con la rejilla', lookups.gridHits);
+report(`Voz a ${config.voiceRadius}px, recorriendo`, lookups.scanVoice);
+report(`Voz a ${config.voiceRadius}px, rejilla`, lookups.gridVoice);
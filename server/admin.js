@@ -0,0 +1,312 @@
+// Operator actions behind ADMIN_TOKEN: kick, ban, voice mute, map and mode changes, ending matches, server messages.
+// Every attempt, allowed or not, is appended to an audit log
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {MapError, listMapIds} = require('./maps');
+const {MODES, isModeId} = require('./modes');
+const {BAN_TYPES} = require('./bans');
+const {readJsonLines} = require('./jsonl');
+const {createLogger} = require('./log');
+
+const log = createLogger('admin');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const AUDIT_FILE = path.join(DATA_DIR, 'admin-audit.jsonl');
+const RECENT_AUDIT_ENTRIES = 100; // kept in memory for the console
+const MAX_TEXT_LENGTH = 200;
+const DENIED_WINDOW = 10 * 60 * 1000; // bad tokens from one IP: the first is audited, the rest summed up after this long
+
+const ACTIONS = ['kick', 'ban', 'unban', 'mute', 'changeMap', 'endMatch', 'broadcast'];
+
+class AdminError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AdminError';
+    }
+}
+
+// Without ADMIN_TOKEN the admin API stays closed
+function adminEnabled() {
+    return Boolean(process.env.ADMIN_TOKEN);
+}
+
+// Hashing both sides first keeps the comparison constant-time whatever the lengths
+function validToken(token) {
+    if (!adminEnabled() || typeof token !== 'string') return false;
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(token), hash(process.env.ADMIN_TOKEN));
+}
+
+function cleanText(text, fallback) {
+    if (typeof text !== 'string') return fallback;
+    return text.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_TEXT_LENGTH) || fallback;
+}
+
+// What a connection is known by for bans
+function identify(socket) {
+    return {ip: socket.handshake.address, profileId: socket.data.profileId || null};
+}
+
+class Admin {
+    constructor(io, rooms, bans, auditFile = AUDIT_FILE) {
+        this.io = io;
+        this.rooms = rooms;
+        this.bans = bans;
+        this.auditFile = auditFile;
+        this.denials = new Map(); // ip -> {actor, since, count, actions} for bad tokens not yet written down
+        this.recent = this.loadAudit();
+        this.out = fs.createWriteStream(this.auditFile, {flags: 'a'});
+        this.out.on('error', (error) => {
+            log.error('Error guardando el registro de administración', {file: this.auditFile, error});
+        });
+    }
+
+    loadAudit() {
+        fs.mkdirSync(path.dirname(this.auditFile), {recursive: true});
+        return readJsonLines(this.auditFile).slice(-RECENT_AUDIT_ENTRIES);
+    }
+
+    audit(entry) {
+        this.recent.push(entry);
+        if (this.recent.length > RECENT_AUDIT_ENTRIES) this.recent.shift();
+        this.out.write(JSON.stringify(entry) + '\n');
+        const fields = {action: entry.action, via: entry.actor.via, ip: entry.actor.ip, params: entry.params};
+        if (entry.ok) {
+            log.info('Acción de administración', fields);
+        } else {
+            log.warn('Acción de administración rechazada', {...fields, error: entry.error});
+        }
+    }
+
+    // actor says who asked and how: {via: 'http' | 'socket', ip}
+    run(action, params, actor, now = Date.now()) {
+        params = params && typeof params === 'object' ? params : {};
+        const entry = {at: new Date(now).toISOString(), action, params, actor};
+
+        try {
+            if (!ACTIONS.includes(action)) {
+                throw new AdminError(`Acción desconocida: ${action}`);
+            }
+            const result = this[action](params, now);
+            this.audit({...entry, ok: true});
+            return result;
+        } catch (error) {
+            this.audit({...entry, ok: false, error: error.message});
+            throw error;
+        }
+    }
+
+    // A request with a missing or wrong token; the token itself is not written down.
+    // Anyone can send these, so repeats from the same IP only add to a count until flushDenials()
+    denied(action, actor, now = Date.now()) {
+        const open = this.denials.get(actor.ip);
+        if (open && now - open.since < DENIED_WINDOW) {
+            open.count++;
+            open.actions.add(action);
+            return;
+        }
+
+        if (open) this.closeDenials(open, now);
+        this.denials.set(actor.ip, {actor, since: now, count: 0, actions: new Set()});
+        this.audit({at: new Date(now).toISOString(), action, params: {}, actor, ok: false, error: 'Token no válido'});
+    }
+
+    // Called periodically: writes the count for every IP whose window is over
+    flushDenials(now = Date.now()) {
+        this.denials.forEach((open, ip) => {
+            if (now - open.since < DENIED_WINDOW) return;
+            this.closeDenials(open, now);
+            this.denials.delete(ip);
+        });
+    }
+
+    closeDenials(open, now) {
+        if (open.count === 0) return;
+        this.audit({
+            at: new Date(now).toISOString(),
+            action: 'denied',
+            params: {actions: Array.from(open.actions), count: open.count, since: new Date(open.since).toISOString()},
+            actor: open.actor,
+            ok: false,
+            error: `Token no válido, ${open.count} veces más`
+        });
+    }
+
+    // Everything the console shows: rooms with their players and spectators, bans and recent actions
+    overview(now = Date.now()) {
+        const rooms = [];
+        this.rooms.forEach(room => {
+            rooms.push({
+                ...room.summary(),
+                mapId: room.map.id,
+                modeId: room.modeId,
+                players: Array.from(room.players.values()).map(player => ({
+                    id: player.id,
+                    name: player.name,
+                    isBot: player.isBot === true,
+                    team: player.team,
+                    connected: player.socketId !== null,
+                    ip: player.ip || null,
+                    profileId: player.profileId || null,
+                    voiceMuted: player.voiceMuted === true
+                })),
+                spectatorList: Array.from(room.spectators.values()).map(spectator => ({
+                    id: spectator.id,
+                    name: spectator.name
+                }))
+            });
+        });
+
+        return {
+            rooms,
+            bans: this.bans.list(now),
+            maps: listMapIds(),
+            modes: Object.keys(MODES),
+            audit: this.recent.slice().reverse()
+        };
+    }
+
+    // A player anywhere (including bots and tanks waiting for a resume), or any connected socket by id
+    findTarget(id) {
+        const found = this.rooms.findPlayer(player => player.id === id);
+        if (found) {
+            const socket = found.player.socketId ? this.io.sockets.sockets.get(found.player.socketId) : null;
+            return {...found, socket: socket || null};
+        }
+
+        const socket = typeof id === 'string' ? this.io.sockets.sockets.get(id) : null;
+        if (socket) return {room: socket.data.room || null, player: null, socket};
+
+        throw new AdminError('Jugador no encontrado');
+    }
+
+    findRoom(code) {
+        const room = this.rooms.get(code);
+        if (!room) throw new AdminError('Sala no encontrada');
+        return room;
+    }
+
+    // The socket's disconnect handler frees its tank instead of keeping it for a resume
+    expel(target, reason) {
+        if (target.socket) {
+            target.socket.data.kicked = true;
+            target.socket.emit('kicked', {reason});
+            target.socket.disconnect(true);
+        } else if (target.player) {
+            target.room.removePlayer(target.player.id);
+        }
+    }
+
+    kick({player, reason}) {
+        const target = this.findTarget(player);
+        this.expel(target, cleanText(reason, 'Expulsado por un administrador'));
+        return {kicked: target.player ? target.player.name : target.socket.id};
+    }
+
+    // Either a player to ban by their IP or profile, or a raw value; minutes left out means permanent
+    ban({player, type, value, minutes, reason}, now) {
+        if (!BAN_TYPES.includes(type)) {
+            throw new AdminError('El tipo de baneo tiene que ser "ip" o "profile"');
+        }
+
+        if (player) {
+            const target = this.findTarget(player);
+            if (target.player && target.player.isBot) throw new AdminError('Los bots no se pueden banear');
+
+            const who = target.socket ? identify(target.socket) : {ip: target.player.ip, profileId: target.player.profileId};
+            value = type === 'ip' ? who.ip : who.profileId;
+            if (!value) throw new AdminError('Ese jugador no tiene perfil');
+        }
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new AdminError('Falta a quién banear');
+        }
+
+        let until = null;
+        if (minutes !== undefined && minutes !== null && minutes !== '') {
+            if (!(Number(minutes) > 0)) throw new AdminError('La duración tiene que ser un número de minutos positivo');
+            until = now + Number(minutes) * 60 * 1000;
+        }
+
+        const ban = this.bans.add({type, value: value.trim(), until, reason: cleanText(reason, 'Baneado por un administrador')}, now);
+
+        // Out with everyone the ban covers, tanks waiting for a resume included
+        this.io.sockets.sockets.forEach(socket => {
+            if (this.bans.matches(ban, identify(socket))) this.expel({socket}, ban.reason);
+        });
+        this.rooms.forEach(room => {
+            room.players.forEach(p => {
+                if (!p.isBot && !p.socketId && this.bans.matches(ban, {ip: p.ip, profileId: p.profileId})) {
+                    room.removePlayer(p.id);
+                }
+            });
+        });
+
+        return ban;
+    }
+
+    unban({id}) {
+        if (!this.bans.remove(id)) throw new AdminError('Baneo no encontrado');
+        return {id};
+    }
+
+    // Voice only: the server drops the player's audio until unmuted
+    mute({player, muted = true}) {
+        if (typeof muted !== 'boolean') throw new AdminError('"muted" debe ser true o false');
+        const target = this.findTarget(player);
+        if (!target.player || target.player.isBot) throw new AdminError('Solo se puede silenciar a jugadores');
+
+        target.player.voiceMuted = muted;
+        if (target.player.voiceMuted) {
+            target.player.audioEnabled = false;
+            target.room.emit('playerAudioState', {playerId: target.player.id, audioEnabled: false});
+        }
+        if (target.socket) target.socket.emit('voiceMuted', {muted: target.player.voiceMuted});
+
+        return {player: target.player.name, muted: target.player.voiceMuted};
+    }
+
+    // Starts a new match right away on the given map and/or mode
+    changeMap({room, map, mode}, now) {
+        const target = this.findRoom(room);
+        if (!map && !mode) throw new AdminError('Indica un mapa o un modo');
+        if (mode && !isModeId(mode)) throw new AdminError(`Modo desconocido: ${mode}`);
+
+        let next = null;
+        if (map) {
+            try {
+                next = target.mapRotation.jumpTo(map);
+            } catch (error) {
+                if (!(error instanceof MapError)) throw error;
+                throw new AdminError(`Mapa no válido: ${error.message}`);
+            }
+        }
+
+        target.restartMatch(now, {map: next, modeId: mode || null});
+        return target.summary();
+    }
+
+    endMatch({room}, now) {
+        const target = this.findRoom(room);
+        if (target.match.state !== 'playing') throw new AdminError('La partida ya ha terminado');
+
+        target.endMatch(now, {reason: 'admin', winner: null});
+        return target.summary();
+    }
+
+    // To one room, or to everyone connected when no room is given
+    broadcast({room, message}, now) {
+        const text = cleanText(message, '');
+        if (!text) throw new AdminError('Falta el mensaje');
+
+        const data = {text, t: now};
+        if (room) {
+            this.findRoom(room).emit('serverMessage', data);
+        } else {
+            this.io.emit('serverMessage', data);
+        }
+        return data;
+    }
+}
+
+module.exports = {Admin, AdminError, adminEnabled, validToken};
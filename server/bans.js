@@ -0,0 +1,92 @@
+// Bans by IP or by profile, optionally with an expiry; small enough to rewrite the whole file on every change
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {createLogger} = require('./log');
+
+const log = createLogger('server');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const BANS_FILE = path.join(DATA_DIR, 'bans.json');
+
+const BAN_TYPES = ['ip', 'profile'];
+
+class BanList {
+    constructor(file = BANS_FILE) {
+        this.file = file;
+        this.bans = new Map();
+        this.load();
+    }
+
+    load() {
+        fs.mkdirSync(path.dirname(this.file), {recursive: true});
+        if (!fs.existsSync(this.file)) return;
+
+        try {
+            JSON.parse(fs.readFileSync(this.file, 'utf8')).forEach(ban => this.bans.set(ban.id, ban));
+        } catch (error) {
+            log.error('No se pudieron leer los baneos', {file: this.file, error: error.message});
+        }
+        this.prune(Date.now());
+        log.info('Baneos cargados', {active: this.bans.size});
+    }
+
+    save() {
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(Array.from(this.bans.values()), null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    // Expired bans are dropped whenever the list is read
+    prune(now) {
+        let changed = false;
+        this.bans.forEach((ban, id) => {
+            if (ban.until !== null && ban.until <= now) {
+                this.bans.delete(id);
+                changed = true;
+            }
+        });
+        if (changed) this.save();
+    }
+
+    // until is a timestamp in ms, or null for a permanent ban
+    add({type, value, until, reason}, now = Date.now()) {
+        const ban = {
+            id: crypto.randomBytes(4).toString('hex'),
+            type,
+            value,
+            reason,
+            createdAt: now,
+            until
+        };
+        this.bans.set(ban.id, ban);
+        this.save();
+        return ban;
+    }
+
+    remove(id) {
+        if (!this.bans.delete(id)) return false;
+        this.save();
+        return true;
+    }
+
+    matches(ban, {ip, profileId}) {
+        return ban.type === 'ip' ? ban.value === ip : ban.value === profileId;
+    }
+
+    // The ban keeping this connection out, if any
+    find(who, now = Date.now()) {
+        this.prune(now);
+        for (const ban of this.bans.values()) {
+            if (this.matches(ban, who)) return ban;
+        }
+        return null;
+    }
+
+    list(now = Date.now()) {
+        this.prune(now);
+        return Array.from(this.bans.values()).sort((a, b) => b.createdAt - a.createdAt);
+    }
+}
+
+module.exports = {BanList, BAN_TYPES};
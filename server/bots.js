@@ -0,0 +1,318 @@
+// Server-controlled tanks. Bots feed commands into the same input queue as players,
+// so movement, the shot limit and damage follow exactly the same rules.
+const Terrain = require('../shared/terrain');
+const {findPath} = require('./pathfinding');
+const {createLogger} = require('./log');
+
+const log = createLogger('game');
+
+const {TILE} = Terrain;
+
+// Difficulty tiers: how fast bots react, how well they aim and what they go after
+const TIERS = {
+    easy: {label: 'Fácil', think: 400, fireCooldown: 1200, aimTolerance: 6, viewRange: 250, repath: 2000, baseFocus: 0.2},
+    normal: {label: 'Normal', think: 200, fireCooldown: 700, aimTolerance: 10, viewRange: 400, repath: 1200, baseFocus: 0.4},
+    hard: {label: 'Difícil', think: 100, fireCooldown: 350, aimTolerance: 14, viewRange: 600, repath: 800, baseFocus: 0.6}
+};
+
+const BOT_MODES = ['off', 'fill', 'waves'];
+
+// Fill: keep the room at this many tanks with bots while humans are few
+const FILL_TARGET = 6;
+
+// Waves: the enemy roster of the original game, easiest tanks first
+const WAVE_ROSTER = [
+    ...Array(10).fill('easy'),
+    ...Array(6).fill('normal'),
+    ...Array(4).fill('hard')
+];
+const WAVE_MAX_ON_FIELD = 4;
+const WAVE_SPAWN_INTERVAL = 3000;
+const WAVE_REMOVE_DELAY = 1000; // ms a destroyed wave bot stays for its explosion
+
+const ALIGN_THRESHOLD = 4; // px off a tile center before a bot straightens up
+const WAYPOINT_REACHED = 3;
+const STUCK_TIME = 600;
+const HIDDEN_SPOT_RANGE = 60; // tanks under trees are only seen this close
+
+class BotController {
+    constructor(room, {mode, difficulty}) {
+        this.room = room;
+        this.mode = BOT_MODES.includes(mode) ? mode : 'off';
+        this.difficulty = TIERS[difficulty] ? difficulty : 'normal';
+        this.idCounter = 0;
+        this.roster = [];
+        this.nextWaveSpawn = 0;
+        this.removals = new Map(); // bot id -> removal time
+    }
+
+    // Wave mode is co-op: humans on team 1 against the bot roster on team 2
+    teamFor(player) {
+        if (this.mode !== 'waves') return null;
+        return player.isBot ? 2 : 1;
+    }
+
+    // New match: the roster starts over and leftover wave bots go away
+    onMatchStart(now) {
+        if (this.mode !== 'waves') return;
+
+        this.bots().forEach(bot => this.room.removePlayer(bot.id));
+        this.removals.clear();
+        this.nextWaveSpawn = now + WAVE_SPAWN_INTERVAL;
+
+        // Without teams the wave would shoot itself to pieces, so free-for-all matches (chosen, or
+        // the fallback on maps without team spawns) are played without bots
+        if (!this.room.mode.teamBased) {
+            this.roster = [];
+            log.info('Oleadas desactivadas en este modo', {room: this.room.code, mode: this.room.mode.id});
+            return;
+        }
+        this.roster = WAVE_ROSTER.slice();
+    }
+
+    bots() {
+        return Array.from(this.room.players.values()).filter(player => player.isBot);
+    }
+
+    spawnBot(tierId, now) {
+        const tier = TIERS[tierId];
+        const bot = this.room.addBot(`bot-${this.room.code}-${++this.idCounter}`, `🤖 ${tier.label} ${this.idCounter}`);
+        bot.bot = {
+            tier,
+            seq: 0,
+            path: null,
+            pathTarget: null,
+            pathAt: 0,
+            thinkAt: 0,
+            lastFire: 0,
+            lastMoveAt: now, // not "stuck" before it has had a chance to move
+            lastX: bot.x,
+            lastY: bot.y,
+            aim: null,
+            goal: null
+        };
+        return bot;
+    }
+
+    update(now) {
+        if (this.mode === 'off') return;
+
+        this.removals.forEach((at, id) => {
+            if (now >= at) {
+                this.removals.delete(id);
+                this.room.removePlayer(id);
+            }
+        });
+
+        if (this.mode === 'fill') {
+            this.updateFill(now);
+        } else if (this.room.match.state === 'playing' && this.room.mode.teamBased) {
+            this.updateWaves(now);
+        }
+
+        this.bots().forEach(bot => this.control(bot, now));
+    }
+
+    updateFill(now) {
+        const humans = this.room.humanCount();
+        const bots = this.bots();
+        const wanted = humans === 0 ? 0 : Math.max(0, FILL_TARGET - humans);
+
+        if (bots.length < wanted) {
+            this.spawnBot(this.difficulty, now);
+        } else if (bots.length > wanted) {
+            // Make room for humans, dead bots first
+            const bot = bots.find(candidate => !candidate.alive) || bots[bots.length - 1];
+            this.room.removePlayer(bot.id);
+        }
+    }
+
+    updateWaves(now) {
+        const bots = this.bots();
+
+        bots.forEach(bot => {
+            if (!bot.alive && !this.removals.has(bot.id)) {
+                this.removals.set(bot.id, now + WAVE_REMOVE_DELAY);
+            }
+        });
+
+        if (this.roster.length > 0 && bots.length < WAVE_MAX_ON_FIELD && now >= this.nextWaveSpawn) {
+            this.spawnBot(this.roster.shift(), now);
+            this.nextWaveSpawn = now + WAVE_SPAWN_INTERVAL;
+            this.room.emit('waveStatus', {remaining: this.roster.length});
+        }
+
+        if (this.roster.length === 0 && bots.length === 0) {
+            this.room.mode.onWavesCleared(2);
+        }
+    }
+
+    // Targets and aim are decided once per think interval; the path is followed every tick
+    control(bot, now) {
+        const state = bot.bot;
+        if (!bot.alive) return;
+
+        if (now >= state.thinkAt) {
+            state.thinkAt = now + state.tier.think;
+            this.think(bot, now);
+        }
+
+        const input = state.aim ? {...state.aim} : (this.followPath(bot) || {dx: 0, dy: 0, fire: false});
+
+        if (!state.aim && (input.dx !== 0 || input.dy !== 0)) {
+            // Stuck against something: shoot it (brick breaks) and plan again
+            if (Math.hypot(bot.x - state.lastX, bot.y - state.lastY) > 1) {
+                state.lastMoveAt = now;
+                state.lastX = bot.x;
+                state.lastY = bot.y;
+            } else if (now - state.lastMoveAt > STUCK_TIME) {
+                state.lastMoveAt = now;
+                state.path = null;
+                input.fire = true;
+            }
+
+            // Next step is brick: clear it
+            const next = state.path && state.path[0];
+            if (next && this.room.terrain.getType(next.col, next.row) === TILE.BRICK) {
+                input.fire = true;
+            }
+        }
+
+        input.fire = input.fire && now - state.lastFire >= state.tier.fireCooldown;
+        if (input.fire) state.lastFire = now;
+
+        // Same path as a client's playerInput
+        bot.inputQueue.push({seq: ++state.seq, dx: input.dx, dy: input.dy, fire: input.fire});
+    }
+
+    think(bot, now) {
+        const state = bot.bot;
+        const target = this.chooseTarget(bot);
+        state.aim = null;
+        if (!target) {
+            state.path = null;
+            return;
+        }
+
+        // Enemy in the line of fire: turn to face it and shoot
+        state.aim = this.aimAt(bot, target);
+        if (state.aim) return;
+
+        const terrain = this.room.terrain;
+        const size = terrain.tileSize;
+        const goal = {col: Math.floor(target.x / size), row: Math.floor(target.y / size)};
+        const goalChanged = !state.pathTarget || state.pathTarget.col !== goal.col || state.pathTarget.row !== goal.row;
+
+        if (!state.path || state.path.length === 0 || (goalChanged && now - state.pathAt >= state.tier.repath)) {
+            state.path = findPath(terrain, {col: Math.floor(bot.x / size), row: Math.floor(bot.y / size)}, goal);
+            state.pathTarget = goal;
+            state.pathAt = now;
+            if (state.path) {
+                state.path.shift(); // the tile it stands on
+                state.path.pop(); // the target's own tile: stop next to it
+            }
+        }
+    }
+
+    // Nearest visible enemy tank in range, or the enemy base when the tier prefers it
+    chooseTarget(bot) {
+        const state = bot.bot;
+        const mode = this.room.mode;
+        let nearest = null;
+        let nearestDistance = state.tier.viewRange;
+
+        this.room.players.forEach(player => {
+            if (player === bot || !player.alive) return;
+            if (mode.teamBased && player.team === bot.team) return;
+
+            const distance = Math.hypot(player.x - bot.x, player.y - bot.y);
+            if (distance > nearestDistance) return;
+            if (this.room.terrain.isTrees(player.x, player.y) && distance > HIDDEN_SPOT_RANGE) return;
+
+            nearest = player;
+            nearestDistance = distance;
+        });
+
+        const base = mode.bases && mode.bases.find(candidate => candidate.alive && candidate.team !== bot.team);
+        if (base) {
+            // The choice sticks until the goal disappears, so bots don't dither
+            if (!state.goal || state.goal.type === 'player') {
+                state.goal = Math.random() < state.tier.baseFocus || !nearest ? {type: 'base'} : {type: 'player'};
+            }
+            if (state.goal.type === 'base') {
+                return {x: base.x, y: base.y, isBase: true};
+            }
+        }
+
+        if (nearest) return nearest;
+
+        // Nobody in sight: head for the farthest-away tank so bots don't idle
+        let farthest = null;
+        let farthestDistance = 0;
+        this.room.players.forEach(player => {
+            if (player === bot || !player.alive || (mode.teamBased && player.team === bot.team)) return;
+            const distance = Math.hypot(player.x - bot.x, player.y - bot.y);
+            if (distance > farthestDistance) {
+                farthest = player;
+                farthestDistance = distance;
+            }
+        });
+        return farthest;
+    }
+
+    // A move toward the target's axis plus fire, if the target is lined up and nothing solid is between
+    aimAt(bot, target) {
+        const dx = target.x - bot.x;
+        const dy = target.y - bot.y;
+        const tolerance = target.isBase ? this.room.terrain.tileSize / 2 - 2 : bot.bot.tier.aimTolerance;
+        const range = bot.bot.tier.viewRange;
+
+        if (Math.abs(dy) <= tolerance && Math.abs(dx) <= range && this.clearShot(bot, target)) {
+            return {dx: Math.sign(dx), dy: 0, fire: true};
+        }
+        if (Math.abs(dx) <= tolerance && Math.abs(dy) <= range && this.clearShot(bot, target)) {
+            return {dx: 0, dy: Math.sign(dy), fire: true};
+        }
+        return null;
+    }
+
+    // Steel stops bullets for good; brick in the way is fine, it breaks
+    clearShot(bot, target) {
+        const terrain = this.room.terrain;
+        const distance = Math.hypot(target.x - bot.x, target.y - bot.y);
+        const steps = Math.ceil(distance / 10);
+
+        for (let i = 1; i < steps; i++) {
+            const x = bot.x + (target.x - bot.x) * i / steps;
+            const y = bot.y + (target.y - bot.y) * i / steps;
+            const block = terrain.blockAt(x, y);
+            if (block && block.type === TILE.STEEL) return false;
+        }
+        return true;
+    }
+
+    // Axis-aligned steps from tile center to tile center, straightening up first in corridors
+    followPath(bot) {
+        const path = bot.bot.path;
+        const size = this.room.terrain.tileSize;
+
+        while (path && path.length > 0) {
+            const waypoint = path[0];
+            const dx = (waypoint.col + 0.5) * size - bot.x;
+            const dy = (waypoint.row + 0.5) * size - bot.y;
+
+            if (Math.abs(dx) <= WAYPOINT_REACHED && Math.abs(dy) <= WAYPOINT_REACHED) {
+                path.shift();
+                continue;
+            }
+
+            if (Math.abs(dx) >= Math.abs(dy)) {
+                return Math.abs(dy) > ALIGN_THRESHOLD ? {dx: 0, dy: Math.sign(dy), fire: false} : {dx: Math.sign(dx), dy: 0, fire: false};
+            }
+            return Math.abs(dx) > ALIGN_THRESHOLD ? {dx: Math.sign(dx), dy: 0, fire: false} : {dx: 0, dy: Math.sign(dy), fire: false};
+        }
+        return null;
+    }
+}
+
+module.exports = {BotController, TIERS, BOT_MODES};
@@ -0,0 +1,243 @@
+// Room text chat: all, team, spectator and whisper channels, slash commands, mutes and a short history
+const MAX_LENGTH = 200;
+const HISTORY_SIZE = 50; // sent to late joiners, filtered to what they may see
+const BURST = 5; // messages that can be sent back to back
+const REFILL_INTERVAL = 1000; // ms to earn one more message
+
+const HELP = 'Comandos: /all <mensaje>, /team <mensaje>, /w <nombre> <mensaje>, /mute <nombre>, /unmute <nombre>, /muted';
+
+class ChatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ChatError';
+    }
+}
+
+function cleanText(text) {
+    return typeof text === 'string' ? text.replace(/[\u0000-\u001f\u007f]/g, '').trim() : '';
+}
+
+class Chat {
+    constructor(room) {
+        this.room = room;
+        this.history = [];
+        this.buckets = new Map(); // sender id -> {tokens, updatedAt}
+        this.mutes = new Map(); // viewer id -> Set of muted sender ids
+        this.messageIdCounter = 0;
+    }
+
+    // Everyone in the room who can receive messages: connected players and spectators
+    viewers() {
+        const viewers = [];
+        this.room.players.forEach(player => {
+            if (player.socketId) viewers.push({id: player.id, name: player.name, socketId: player.socketId, team: player.team, spectator: false});
+        });
+        this.room.spectators.forEach(spectator => {
+            viewers.push({id: spectator.id, name: spectator.name, socketId: spectator.id, team: null, spectator: true});
+        });
+        return viewers;
+    }
+
+    viewerFor(sender) {
+        return this.viewers().find(viewer => viewer.id === sender.id) || null;
+    }
+
+    // Spectator messages reach spectators only, team messages that team's players only
+    visibleTo(message, viewer) {
+        if (message.channel === 'spectators') return viewer.spectator;
+        if (message.channel === 'team') return !viewer.spectator && viewer.team === message.team;
+        return true;
+    }
+
+    isMuted(viewerId, senderId) {
+        const muted = this.mutes.get(viewerId);
+        return muted ? muted.has(senderId) : false;
+    }
+
+    // Handles one line typed by a player or spectator; throws ChatError for anything the sender should be told
+    send(sender, text, now) {
+        const viewer = this.viewerFor(sender);
+        if (!viewer) return;
+
+        text = cleanText(text);
+        if (text === '') return;
+        if (text.length > MAX_LENGTH) {
+            throw new ChatError(`Los mensajes no pueden pasar de ${MAX_LENGTH} caracteres`);
+        }
+
+        if (!text.startsWith('/')) {
+            this.takeToken(viewer, now);
+            this.broadcast(viewer, viewer.spectator ? 'spectators' : 'all', text, now);
+            return;
+        }
+
+        // A lone "/" or "/ hola" names no command
+        const match = text.match(/^\/(\S+)\s*(.*)$/);
+        if (!match) throw new ChatError(HELP);
+
+        const [, command, rest = ''] = match;
+        switch (command.toLowerCase()) {
+            case 'all':
+            case 'a':
+                this.takeToken(viewer, now);
+                this.broadcast(viewer, viewer.spectator ? 'spectators' : 'all', this.requireText(rest), now);
+                break;
+            case 'team':
+            case 't':
+                if (viewer.spectator || !this.room.mode.teamBased || viewer.team === null) {
+                    throw new ChatError('No estás en ningún equipo');
+                }
+                this.takeToken(viewer, now);
+                this.broadcast(viewer, 'team', this.requireText(rest), now);
+                break;
+            case 'w':
+            case 'whisper':
+            case 'msg':
+                this.takeToken(viewer, now);
+                this.whisper(viewer, rest, now);
+                break;
+            case 'mute':
+                this.mute(viewer, rest, true);
+                break;
+            case 'unmute':
+                this.mute(viewer, rest, false);
+                break;
+            case 'muted':
+                this.listMuted(viewer);
+                break;
+            case 'help':
+            case '?':
+                this.system(viewer, HELP);
+                break;
+            default:
+                throw new ChatError(`Comando desconocido: /${command}. ${HELP}`);
+        }
+    }
+
+    requireText(text) {
+        if (text === '') throw new ChatError('Falta el mensaje');
+        return text;
+    }
+
+    // Token bucket: short bursts are fine, a steady flood is not
+    takeToken(viewer, now) {
+        let bucket = this.buckets.get(viewer.id);
+        if (!bucket) {
+            bucket = {tokens: BURST, updatedAt: now};
+            this.buckets.set(viewer.id, bucket);
+        }
+
+        bucket.tokens = Math.min(BURST, bucket.tokens + (now - bucket.updatedAt) / REFILL_INTERVAL);
+        bucket.updatedAt = now;
+        if (bucket.tokens < 1) {
+            throw new ChatError('Vas demasiado rápido, espera un momento');
+        }
+        bucket.tokens--;
+    }
+
+    broadcast(viewer, channel, text, now) {
+        const message = {
+            id: ++this.messageIdCounter,
+            channel,
+            team: channel === 'team' ? viewer.team : null,
+            from: {id: viewer.id, name: viewer.name, team: viewer.team},
+            text,
+            t: now
+        };
+
+        this.history.push(message);
+        if (this.history.length > HISTORY_SIZE) this.history.shift();
+        this.room.record('chatMessage', message);
+
+        this.viewers().forEach(other => {
+            if (this.visibleTo(message, other) && !this.isMuted(other.id, viewer.id)) {
+                this.room.io.to(other.socketId).emit('chatMessage', message);
+            }
+        });
+    }
+
+    // Names may have spaces, so the longest name the text starts with wins
+    findByNamePrefix(text) {
+        const lower = text.toLowerCase();
+        let found = null;
+        this.viewers().forEach(viewer => {
+            const name = viewer.name.toLowerCase();
+            if ((lower === name || lower.startsWith(name + ' ')) && (!found || name.length > found.name.length)) {
+                found = viewer;
+            }
+        });
+        return found;
+    }
+
+    whisper(viewer, text, now) {
+        const target = this.findByNamePrefix(text);
+        if (!target) throw new ChatError('No hay nadie con ese nombre en la sala');
+        if (target.id === viewer.id) throw new ChatError('No puedes susurrarte a ti mismo');
+        if (viewer.spectator && !target.spectator) {
+            throw new ChatError('Los espectadores solo pueden susurrar a otros espectadores');
+        }
+
+        const message = {
+            id: ++this.messageIdCounter,
+            channel: 'whisper',
+            team: null,
+            from: {id: viewer.id, name: viewer.name, team: viewer.team},
+            to: {id: target.id, name: target.name},
+            text: this.requireText(text.slice(target.name.length).trim()),
+            t: now
+        };
+
+        if (!this.isMuted(target.id, viewer.id)) {
+            this.room.io.to(target.socketId).emit('chatMessage', message);
+        }
+        this.room.io.to(viewer.socketId).emit('chatMessage', message);
+    }
+
+    mute(viewer, name, muted) {
+        const target = this.findByNamePrefix(name.trim());
+        if (!target || target.id === viewer.id) throw new ChatError('No hay nadie con ese nombre en la sala');
+
+        if (!this.mutes.has(viewer.id)) this.mutes.set(viewer.id, new Set());
+        const set = this.mutes.get(viewer.id);
+        if (muted) {
+            set.add(target.id);
+        } else {
+            set.delete(target.id);
+        }
+        this.system(viewer, muted ? `Has silenciado a ${target.name}` : `${target.name} ya no está silenciado`);
+    }
+
+    listMuted(viewer) {
+        const muted = this.mutes.get(viewer.id);
+        const names = this.viewers().filter(other => muted && muted.has(other.id)).map(other => other.name);
+        this.system(viewer, names.length > 0 ? `Silenciados: ${names.join(', ')}` : 'No has silenciado a nadie');
+    }
+
+    // A line only the viewer sees: command replies and errors
+    system(viewer, text) {
+        this.room.io.to(viewer.socketId).emit('chatMessage', {
+            id: ++this.messageIdCounter,
+            channel: 'system',
+            text,
+            t: Date.now()
+        });
+    }
+
+    // Recent messages for someone who just arrived; viewer is a player, or a spectator's socket id
+    sendHistory(socket, player) {
+        const viewer = player
+            ? {id: player.id, team: player.team, spectator: false}
+            : {id: socket.id, team: null, spectator: true};
+
+        socket.emit('chatHistory', this.history.filter(message =>
+            this.visibleTo(message, viewer) && !this.isMuted(viewer.id, message.from.id)
+        ));
+    }
+
+    forget(id) {
+        this.buckets.delete(id);
+        this.mutes.delete(id);
+    }
+}
+
+module.exports = {Chat, ChatError, MAX_LENGTH};
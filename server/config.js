@@ -0,0 +1,110 @@
+// Server settings: the defaults below, then config.json (or CONFIG_FILE), then environment variables.
+// Everything but the port is picked up again on SIGHUP; environment variables keep winning after a reload
+const fs = require('fs');
+const path = require('path');
+const Movement = require('../shared/movement');
+const {createLogger} = require('./log');
+
+const log = createLogger('server');
+
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, '../config.json');
+
+const SETTINGS = {
+    port: {env: 'PORT', default: 65534, min: 1, max: 65535, integer: true, restart: true},
+    tankSpeed: {env: 'TANK_SPEED', default: Movement.TANK_SPEED, min: 10, max: 1000}, // px/s
+    bulletSpeed: {env: 'BULLET_SPEED', default: 300, min: 50, max: 3000}, // px/s before star upgrades
+    bulletLifetime: {env: 'BULLET_LIFETIME', default: 3000, min: 100, max: 30000, integer: true}, // ms
+    fireInterval: {env: 'FIRE_INTERVAL', default: 200, min: 50, max: 5000, integer: true}, // ms between shots
+    bulletDamage: {env: 'BULLET_DAMAGE', default: 10, min: 1, max: 100, integer: true},
+    voiceRadius: {env: 'VOICE_RADIUS', default: 300, min: 0, max: 10000}, // px; 0 sends voice to the whole room
+    idleTimeout: {env: 'IDLE_TIMEOUT', default: 10 * 60 * 1000, min: 10000, max: 24 * 60 * 60 * 1000, integer: true} // ms without input
+};
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+function validate(name, value, source) {
+    const setting = SETTINGS[name];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ConfigError(`${source}: "${name}" must be a number`);
+    }
+    if (setting.integer && !Number.isInteger(value)) {
+        throw new ConfigError(`${source}: "${name}" must be a whole number`);
+    }
+    if (value < setting.min || value > setting.max) {
+        throw new ConfigError(`${source}: "${name}" must be between ${setting.min} and ${setting.max}`);
+    }
+    return value;
+}
+
+function readFile(file) {
+    if (!fs.existsSync(file)) return {};
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`${file}: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new ConfigError(`${file}: must be a JSON object`);
+    }
+
+    // Unknown keys are almost always typos, better to say so than to ignore them
+    Object.keys(values).forEach(name => {
+        if (!SETTINGS[name]) throw new ConfigError(`${file}: unknown setting "${name}"`);
+    });
+    return values;
+}
+
+// All settings, validated; throws ConfigError on the first bad value
+function loadConfig(file = CONFIG_FILE) {
+    const fromFile = readFile(file);
+    const config = {};
+
+    Object.entries(SETTINGS).forEach(([name, setting]) => {
+        let value = setting.default;
+        if (fromFile[name] !== undefined) {
+            value = validate(name, fromFile[name], file);
+        }
+        if (process.env[setting.env] !== undefined && process.env[setting.env] !== '') {
+            value = validate(name, Number(process.env[setting.env]), setting.env);
+        }
+        config[name] = value;
+    });
+    return config;
+}
+
+// Read by the rest of the server at the moment each value is used, so a reload applies right away
+const config = loadConfig();
+
+// Re-reads the file and applies what changed; returns the names of the settings that did
+function reloadConfig() {
+    const next = loadConfig();
+    const changed = [];
+
+    Object.keys(SETTINGS).forEach(name => {
+        if (next[name] === config[name]) return;
+        if (SETTINGS[name].restart) {
+            log.warn('Este ajuste solo cambia al reiniciar el servidor', {setting: name});
+            return;
+        }
+        config[name] = next[name];
+        changed.push(name);
+    });
+    return changed;
+}
+
+// What clients need to predict their own tank the way the server moves it
+function clientConfig() {
+    return {
+        tankSpeed: config.tankSpeed,
+        fireInterval: config.fireInterval
+    };
+}
+
+module.exports = {config, reloadConfig, clientConfig, ConfigError};
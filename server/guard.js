@@ -0,0 +1,180 @@
+// What each socket may send: every inbound event has a payload schema and a token bucket of its own.
+// Anything else is dropped before it reaches a handler, and a socket that keeps at it is disconnected
+const {metrics} = require('./metrics');
+const {createLogger} = require('./log');
+
+const log = createLogger('net');
+
+const STRIKE_LIMIT = 30; // rejected events within STRIKE_WINDOW before the socket is dropped
+const STRIKE_WINDOW = 10 * 1000; // ms
+const MAX_AUDIO_BYTES = 32 * 1024; // a 200 ms chunk at 64 kbps is ~1.6 KB
+const ABUSE_REASON = 'Demasiados mensajes no válidos o demasiado seguidos';
+
+// Schema building blocks: each returns a check(value) -> boolean
+function string(maxLength) {
+    return value => typeof value === 'string' && value.length <= maxLength;
+}
+
+function integer(min, max) {
+    return value => Number.isInteger(value) && value >= min && value <= max;
+}
+
+function number(min, max) {
+    return value => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function boolean(value) {
+    return typeof value === 'boolean';
+}
+
+function binary(maxBytes) {
+    return value => (Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value)) && value.byteLength <= maxBytes;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value) && !(value instanceof ArrayBuffer);
+}
+
+// Only the listed fields, each passing its check; unlisted fields make the payload invalid
+function object(fields) {
+    return value => isPlainObject(value)
+        && Object.keys(value).every(key => Object.prototype.hasOwnProperty.call(fields, key))
+        && Object.entries(fields).every(([key, check]) => check(value[key]));
+}
+
+// Any plain object; for payloads whose fields are checked by the handler (admin action parameters)
+function anyObject(value) {
+    return isPlainObject(value);
+}
+
+function optional(check) {
+    return value => value === undefined || value === null || check(value);
+}
+
+// args: one check per argument before the ack callback; ack: whether the client must pass a callback
+// limit: burst events back to back, then perSecond
+// replies: handlers answer {ok, error}, so a rejection can be answered the same way
+const CLIENT_EVENTS = {
+    createRoom: {
+        args: [optional(object({
+            name: optional(string(64)),
+            isPublic: optional(boolean),
+            mode: optional(string(32)),
+            friendlyFire: optional(boolean),
+            bots: optional(string(16)),
+            botDifficulty: optional(string(16))
+        }))],
+        ack: false,
+        replies: true,
+        limit: {burst: 3, perSecond: 0.2}
+    },
+    joinRoom: {
+        args: [optional(object({code: optional(string(16)), spectate: optional(boolean)}))],
+        ack: false,
+        replies: true,
+        limit: {burst: 5, perSecond: 0.5}
+    },
+    leaveRoom: {args: [], ack: false, limit: {burst: 3, perSecond: 0.5}},
+    resumeSession: {args: [object({token: string(64)})], ack: true, replies: true, limit: {burst: 3, perSecond: 0.2}},
+    listRooms: {args: [], ack: true, limit: {burst: 5, perSecond: 1}},
+    setIdentity: {
+        args: [object({name: string(64), color: string(16), skin: optional(string(32))})],
+        ack: false,
+        replies: true,
+        limit: {burst: 5, perSecond: 0.5}
+    },
+    ping: {args: [], ack: false, limit: {burst: 5, perSecond: 2}},
+    timeSync: {args: [], ack: true, limit: {burst: 10, perSecond: 2}},
+    getScoreboard: {args: [], ack: true, limit: {burst: 5, perSecond: 4}},
+    // Chat has its own, friendlier limit and length check; these only stop floods
+    chatMessage: {args: [string(1000)], ack: false, replies: true, limit: {burst: 10, perSecond: 3}},
+    // The game sends one per frame at 60 Hz while moving
+    playerInput: {
+        args: [object({seq: integer(1, Number.MAX_SAFE_INTEGER), dx: number(-1, 1), dy: number(-1, 1), fire: optional(boolean)})],
+        ack: false,
+        limit: {burst: 120, perSecond: 90}
+    },
+    snapshotAck: {args: [integer(1, Number.MAX_SAFE_INTEGER)], ack: false, limit: {burst: 40, perSecond: 30}},
+    snapshotResync: {args: [], ack: false, limit: {burst: 5, perSecond: 2}},
+    audioStream: {
+        args: [object({data: binary(MAX_AUDIO_BYTES), timestamp: optional(number(0, Number.MAX_SAFE_INTEGER))})],
+        ack: false,
+        limit: {burst: 20, perSecond: 10}
+    },
+    audioStateChanged: {args: [object({enabled: boolean})], ack: false, limit: {burst: 5, perSecond: 1}}
+};
+
+// The /admin namespace; the token already got them in, this only keeps a script from hammering it
+const ADMIN_EVENTS = {
+    overview: {args: [], ack: true, limit: {burst: 10, perSecond: 2}},
+    action: {
+        args: [object({action: string(32), params: optional(anyObject)})],
+        ack: false,
+        replies: true,
+        limit: {burst: 10, perSecond: 2}
+    }
+};
+
+// An ack callback, if any, is the last argument
+function validArgs(schema, args) {
+    const hasAck = typeof args[args.length - 1] === 'function';
+    if (schema.ack && !hasAck) return false;
+
+    const payload = hasAck ? args.slice(0, -1) : args;
+    if (payload.length > schema.args.length) return false;
+    return schema.args.every((check, i) => check(payload[i]));
+}
+
+// One bucket per socket and event: refills at limit.perSecond up to limit.burst, each event takes a token
+function takeToken(buckets, event, limit, now) {
+    let bucket = buckets.get(event);
+    if (!bucket) {
+        bucket = {tokens: limit.burst, updatedAt: now};
+        buckets.set(event, bucket);
+    }
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) return false;
+
+    bucket.tokens--;
+    return true;
+}
+
+// Runs before every handler of the socket; events is CLIENT_EVENTS or ADMIN_EVENTS
+function guardSocket(socket, events) {
+    const buckets = new Map(); // event -> {tokens, updatedAt}
+    const strikes = []; // ms of recent rejections, oldest first
+
+    function reject(event, reason, args) {
+        const now = Date.now();
+        metrics.rejectedEvents.inc({event: events[event] ? event : 'unknown', reason});
+        log.debug('Evento rechazado', {socket: socket.id, event: events[event] ? event : 'unknown', reason});
+
+        // Answer in the shape the client is waiting for, so its UI doesn't hang
+        const ack = args[args.length - 1];
+        if (events[event] && events[event].replies && typeof ack === 'function') {
+            ack({ok: false, error: reason === 'rate' ? 'Demasiadas peticiones, espera un momento' : 'Petición no válida'});
+        }
+
+        strikes.push(now);
+        while (strikes.length > 0 && now - strikes[0] > STRIKE_WINDOW) strikes.shift();
+        if (strikes.length >= STRIKE_LIMIT && socket.connected) {
+            metrics.abuseDisconnects.inc();
+            log.warn('Desconectado por abuso', {socket: socket.id, ip: socket.handshake.address, event, reason});
+            socket.data.kicked = true;
+            socket.emit('kicked', {reason: ABUSE_REASON});
+            socket.disconnect(true);
+        }
+    }
+
+    socket.use(([event, ...args], next) => {
+        const schema = events[event];
+        if (!schema) return reject(event, 'unknown', args);
+        if (!takeToken(buckets, event, schema.limit, Date.now())) return reject(event, 'rate', args);
+        if (!validArgs(schema, args)) return reject(event, 'invalid', args);
+        next();
+    });
+}
+
+module.exports = {guardSocket, CLIENT_EVENTS, ADMIN_EVENTS, MAX_AUDIO_BYTES};
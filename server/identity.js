@@ -0,0 +1,48 @@
+// What players choose before joining: name, color and tank skin
+const NAME_MIN_LENGTH = 3;
+const NAME_MAX_LENGTH = 16;
+const NAME_PATTERN = /^[\p{L}\p{N} _.-]+$/u; // letters in any alphabet, digits, spaces and _ . -
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Hull and turret shapes, drawn by the client
+const SKINS = ['classic', 'heavy', 'light', 'twin'];
+const DEFAULT_SKIN = 'classic';
+
+class IdentityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IdentityError';
+    }
+}
+
+// Hex so the client can shade it; players without a choice get a random one
+function randomColor() {
+    return '#' + Math.floor(Math.random() * 0x1000000).toString(16).padStart(6, '0');
+}
+
+// Normalized identity, or an IdentityError saying what's wrong with it
+function validateIdentity(data) {
+    const name = data && typeof data.name === 'string' ? data.name.trim().replace(/\s+/g, ' ') : '';
+    if (name.length < NAME_MIN_LENGTH || name.length > NAME_MAX_LENGTH) {
+        throw new IdentityError(`El nombre debe tener entre ${NAME_MIN_LENGTH} y ${NAME_MAX_LENGTH} caracteres`);
+    }
+    if (!NAME_PATTERN.test(name)) {
+        throw new IdentityError('El nombre solo puede tener letras, números, espacios y _ . -');
+    }
+
+    const color = data.color;
+    if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+        throw new IdentityError('Color no válido');
+    }
+
+    const skin = SKINS.includes(data.skin) ? data.skin : DEFAULT_SKIN;
+
+    return {name, color: color.toLowerCase(), skin};
+}
+
+// Names compare case-insensitively so "Ana" and "ana" can't both play
+function sameName(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {IdentityError, SKINS, DEFAULT_SKIN, randomColor, validateIdentity, sameName};
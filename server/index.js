@@ -3,6 +3,24 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const {loadMaps, loadPlaylist} = require('./maps');
+const {RoomError, RoomManager} = require('./rooms');
+const {ProfileStore, profileIdFor} = require('./profiles');
+const {IdentityError, validateIdentity, sameName} = require('./identity');
+const {listRecordings, recordingPath} = require('./recorder');
+const {ChatError} = require('./chat');
+const {BanList} = require('./bans');
+const {Admin, AdminError, adminEnabled, validToken} = require('./admin');
+const {config, reloadConfig, clientConfig, ConfigError} = require('./config');
+const {metrics, addGauge, renderMetrics, watchConnection, countIncoming, parseWindow, StatsHistory, HISTORY_INTERVAL, HISTORY_RETENTION} = require('./metrics');
+const {guardSocket, CLIENT_EVENTS, ADMIN_EVENTS} = require('./guard');
+const {createLogger} = require('./log');
+
+const log = createLogger('server');
+const netLog = createLogger('net');
+const gameLog = createLogger('game');
+const audioLog = createLogger('audio');
+const adminLog = createLogger('admin');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,16 +40,19 @@ const io = socketIo(server, {
     pingTimeout: 60000,
     pingInterval: 25000,
     upgradeTimeout: 10000,
-    maxHttpBufferSize: 1e6, // 1MB for audio data
+    maxHttpBufferSize: 64 * 1024, // a voice chunk is ~1.6 KB; guard.js caps it at 32 KB
 
     // Handle proxy issues
     cookie: false,
     serveClient: true
 });
 
-// Enhanced logging middleware
+// Every request at debug level, with how it ended
 app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url} - ${req.ip}`);
+    const started = Date.now();
+    res.on('finish', () => {
+        netLog.debug('HTTP', {method: req.method, url: req.originalUrl, status: res.statusCode, ms: Date.now() - started, ip: req.ip});
+    });
     next();
 });
 
@@ -50,12 +71,16 @@ app.use(express.static(path.join(__dirname, '../client'), {
     }
 }));
 
+// Code shared with the client (terrain rules)
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        players: gameState.players.size,
+        players: rooms.playerCount(),
+        rooms: rooms.rooms.size,
         uptime: process.uptime(),
         memory: process.memoryUsage()
     });
@@ -69,17 +94,137 @@ app.options('*', (req, res) => {
     res.sendStatus(200);
 });
 
-// Game state (existing)
-const gameState = {
-    players: new Map(),
-    bullets: new Map(),
-    walls: [],
-    audioRooms: new Map()
-};
+// Every match runs in its own room; maps are validated once at startup
+const playlist = loadMaps(loadPlaylist());
+const profiles = new ProfileStore();
+const rooms = new RoomManager(io, playlist, profiles);
+const bans = new BanList();
+const admin = new Admin(io, rooms, bans);
+
+// Public rooms for the lobby
+app.get('/api/rooms', (req, res) => {
+    res.json({rooms: rooms.listPublic()});
+});
+
+// Lifetime stats: ?sort=wins|kills|kd|matches|timePlayed&limit=N
+app.get('/api/leaderboard', (req, res) => {
+    res.json({players: profiles.leaderboard({sort: req.query.sort, limit: req.query.limit})});
+});
+
+app.get('/api/players/:id', (req, res) => {
+    const profile = profiles.get(req.params.id);
+    if (!profile) {
+        return res.status(404).json({error: 'Jugador no encontrado'});
+    }
+    res.json(profiles.serialize(profile));
+});
+
+// Match recordings (RECORD_MATCHES=1), newest first
+app.get('/api/replays', (req, res) => {
+    res.json({replays: listRecordings()});
+});
+
+// Stored gzipped; browsers inflate it on the fly
+app.get('/api/replays/:id', (req, res) => {
+    const file = recordingPath(req.params.id);
+    if (!file) {
+        return res.status(404).json({error: 'Grabación no encontrada'});
+    }
+    res.set({'Content-Type': 'application/x-ndjson', 'Content-Encoding': 'gzip'});
+    res.sendFile(file);
+});
+
+// Admin console; the page itself is public, everything it does needs the token
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/admin.html'));
+});
+
+function requireAdmin(req, res, next) {
+    if (!adminEnabled()) {
+        return res.status(503).json({error: 'Administración desactivada: falta ADMIN_TOKEN'});
+    }
+    const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    if (!validToken(token)) {
+        admin.denied(req.params.action || 'overview', {via: 'http', ip: req.ip});
+        return res.status(401).json({error: 'Token no válido'});
+    }
+    next();
+}
+
+app.get('/api/admin', requireAdmin, (req, res) => {
+    res.json(admin.overview());
+});
+
+// POST /api/admin/kick|ban|unban|mute|changeMap|endMatch|broadcast with the parameters as JSON
+app.post('/api/admin/:action', requireAdmin, express.json(), (req, res) => {
+    try {
+        res.json({ok: true, result: admin.run(req.params.action, req.body, {via: 'http', ip: req.ip})});
+    } catch (error) {
+        if (!(error instanceof AdminError)) throw error;
+        res.status(400).json({ok: false, error: error.message});
+    }
+}, (error, req, res, next) => {
+    // Malformed or oversized bodies from express.json(); anything else is a real bug
+    if (!error.type || !error.type.startsWith('entity.')) {
+        adminLog.error('Error en la API de administración', {action: req.params.action, ip: req.ip, error});
+        return res.status(500).json({ok: false, error: 'Error interno'});
+    }
+    adminLog.warn('Cuerpo de petición no válido', {action: req.params.action, ip: req.ip, error: error.message});
+    const message = error.status === 413 ? 'El cuerpo de la petición es demasiado grande' : 'El cuerpo de la petición debe ser JSON válido';
+    res.status(error.status || 400).json({ok: false, error: message});
+});
+
+// The same over socket.io, on the /admin namespace with {auth: {token}}
+const adminNamespace = io.of('/admin');
+adminNamespace.use((socket, next) => {
+    if (!validToken(socket.handshake.auth && socket.handshake.auth.token)) {
+        admin.denied('connect', {via: 'socket', ip: socket.handshake.address});
+        return next(new Error('Token no válido'));
+    }
+    next();
+});
+
+adminNamespace.on('connection', (socket) => {
+    guardSocket(socket, ADMIN_EVENTS);
+
+    socket.on('overview', (callback) => {
+        if (typeof callback === 'function') callback(admin.overview());
+    });
+
+    socket.on('action', (request, callback) => {
+        const respond = typeof callback === 'function' ? callback : () => {};
+        try {
+            const {action, params} = request || {};
+            respond({ok: true, result: admin.run(action, params, {via: 'socket', ip: socket.handshake.address})});
+        } catch (error) {
+            if (!(error instanceof AdminError)) throw error;
+            respond({ok: false, error: error.message});
+        }
+    });
+});
 
-let bulletIdCounter = 0;
+// Whether someone else goes by this name: chosen on another socket, or on a tank (even one waiting to resume)
+function nameTaken(name, socketId) {
+    for (const [id, other] of io.sockets.sockets) {
+        if (id !== socketId && other.data.identity && sameName(other.data.identity.name, name)) return true;
+    }
+    return rooms.findPlayer(player => !player.isBot && player.id !== socketId && player.socketId !== socketId && sameName(player.name, name)) !== null;
+}
+
+// Players without a valid profile key still play, they just don't keep stats
+io.use((socket, next) => {
+    socket.data.profileId = profileIdFor(socket.handshake.auth && socket.handshake.auth.profileKey);
 
-// Enhanced audio statistics
+    const ban = bans.find({ip: socket.handshake.address, profileId: socket.data.profileId});
+    if (ban) {
+        const error = new Error(ban.reason);
+        error.data = {banned: true, until: ban.until};
+        return next(error);
+    }
+    next();
+});
+
+// Audio statistics; the counts come from the metrics, this is the per-second view /stats shows
 const audioStats = {
     packetsPerSecond: 0,
     totalPackets: 0,
@@ -89,63 +234,187 @@ const audioStats = {
 };
 
 setInterval(() => {
-    audioStats.packetsPerSecond = 0;
+    const total = metrics.voicePackets.get({outcome: 'received'});
+    audioStats.packetsPerSecond = total - audioStats.totalPackets;
+    audioStats.totalPackets = total;
+    // Voice rides the same socket as snapshots, so their round trip is its latency too
+    audioStats.averageLatency = metrics.latency.summary().mean;
+
     // Update peak users
-    if (gameState.players.size > audioStats.peakConcurrentUsers) {
-        audioStats.peakConcurrentUsers = gameState.players.size;
+    const playerCount = rooms.playerCount();
+    if (playerCount > audioStats.peakConcurrentUsers) {
+        audioStats.peakConcurrentUsers = playerCount;
     }
 }, 1000);
 
+// Bytes and events out are counted per engine connection, so room broadcasts count once per client
+io.engine.on('connection', watchConnection);
+
 // Enhanced connection handling
 io.on('connection', (socket) => {
-    console.log(`🎮 Jugador conectado: ${socket.id} desde ${socket.handshake.address}`);
-
-    // Log connection details for debugging
-    console.log(`   Transport: ${socket.conn.transport.name}`);
-    console.log(`   User-Agent: ${socket.handshake.headers['user-agent']}`);
-
-    // Create new player
-    const newPlayer = {
-        id: socket.id,
-        x: Math.random() * 760 + 20, // Keep away from edges
-        y: Math.random() * 560 + 20,
-        angle: 0,
-        color: `hsl(${Math.random() * 360}, 70%, 50%)`,
-        name: `Tank${Math.floor(Math.random() * 1000)}`,
-        health: 100,
-        audioEnabled: false,
-        lastAudioPacket: Date.now(),
-        connectedAt: Date.now(),
-        transport: socket.conn.transport.name
-    };
+    countIncoming(socket);
+    guardSocket(socket, CLIENT_EVENTS);
+
+    netLog.info('Conectado', {socket: socket.id, ip: socket.handshake.address, transport: socket.conn.transport.name});
+    netLog.debug('Cliente', {socket: socket.id, userAgent: socket.handshake.headers['user-agent']});
 
-    gameState.players.set(socket.id, newPlayer);
-
-    // Send initial state with connection info
-    socket.emit('gameState', {
-        players: Array.from(gameState.players.values()),
-        bullets: Array.from(gameState.bullets.values()),
-        walls: gameState.walls,
-        serverInfo: {
-            transport: socket.conn.transport.name,
-            pingInterval: io.engine.pingInterval,
-            pingTimeout: io.engine.pingTimeout
+    // Tell the client its public profile id (and stats so far) for the lobby and the leaderboard
+    if (socket.data.profileId) {
+        const profile = profiles.get(socket.data.profileId);
+        socket.emit('profile', profile ? profiles.serialize(profile) : {id: socket.data.profileId});
+    }
+
+    // The room this socket plays in and its player there, if any. After a resume the player keeps its first socket's id
+    function current() {
+        const room = socket.data.room;
+        const player = room ? room.players.get(socket.data.playerId) : null;
+        return player ? {room, player} : null;
+    }
+
+    // Player or spectator: whoever this socket is in its room, for snapshot acks
+    function viewer() {
+        const room = socket.data.room;
+        if (!room) return null;
+        const who = socket.data.spectating ? room.spectators.get(socket.id) : room.players.get(socket.data.playerId);
+        return who ? {room, who} : null;
+    }
+
+    // Everyone else in a socket.io room, for counting relayed voice
+    function listenersIn(channel) {
+        const members = io.sockets.adapter.rooms.get(channel);
+        return members ? members.size - (members.has(socket.id) ? 1 : 0) : 0;
+    }
+
+    function leaveRoom() {
+        const room = socket.data.room;
+        if (room) {
+            if (socket.data.spectating) {
+                room.removeSpectator(socket.id);
+            } else {
+                room.removePlayer(socket.data.playerId);
+            }
+            socket.data.room = null;
+            socket.data.playerId = null;
+            socket.data.spectating = false;
+        }
+    }
+
+    function enterRoom(room, callback) {
+        leaveRoom();
+        socket.data.room = room;
+        socket.data.playerId = room.addPlayer(socket).id;
+        gameLog.info('Entra en la sala', {socket: socket.id, room: room.code});
+        if (typeof callback === 'function') callback({ok: true, code: room.code});
+    }
+
+    function watchRoom(room, callback) {
+        leaveRoom();
+        socket.data.room = room;
+        socket.data.spectating = true;
+        room.addSpectator(socket);
+        gameLog.info('Observa la sala', {socket: socket.id, room: room.code});
+        if (typeof callback === 'function') callback({ok: true, code: room.code, spectator: true});
+    }
+
+    function roomError(error, callback) {
+        if (!(error instanceof RoomError)) throw error;
+        if (typeof callback === 'function') callback({ok: false, error: error.message});
+    }
+
+    socket.on('createRoom', (options, callback) => {
+        try {
+            enterRoom(rooms.create(options || {}), callback);
+        } catch (error) {
+            roomError(error, callback);
         }
     });
 
-    // Notify other players
-    socket.broadcast.emit('playerJoined', newPlayer);
+    // No code means quick match in a public room; spectators need a code but take no slot
+    socket.on('joinRoom', (data, callback) => {
+        try {
+            const code = data && data.code;
+            if (data && data.spectate === true) {
+                watchRoom(rooms.find(code), callback);
+                return;
+            }
+            enterRoom(code ? rooms.joinable(code) : rooms.quickMatch(), callback);
+        } catch (error) {
+            roomError(error, callback);
+        }
+    });
+
+    socket.on('leaveRoom', () => {
+        leaveRoom();
+    });
+
+    // Back after a dropped connection: take over the tank the token belongs to
+    socket.on('resumeSession', (data, callback) => {
+        if (typeof callback !== 'function') return;
+
+        const token = data && data.token;
+        const found = typeof token === 'string' ? rooms.findPlayer(player => player.resumeToken === token) : null;
+        if (!found) {
+            callback({ok: false, error: 'La sesión ha caducado'});
+            return;
+        }
+
+        const {room, player} = found;
+
+        // The old connection may not have timed out yet
+        const old = player.socketId ? io.sockets.sockets.get(player.socketId) : null;
+        if (old && old !== socket) {
+            old.data.room = null;
+            old.data.playerId = null;
+            old.disconnect(true);
+        }
+
+        leaveRoom();
+        socket.data.room = room;
+        socket.data.playerId = player.id;
+        socket.data.identity = {name: player.name, color: player.ownColor, skin: player.skin};
+        room.resumePlayer(player, socket);
+
+        gameLog.info('Recupera su tanque', {socket: socket.id, player: player.id, room: room.code});
+        callback({ok: true, code: room.code});
+    });
+
+    socket.on('listRooms', (callback) => {
+        if (typeof callback === 'function') callback(rooms.listPublic());
+    });
+
+    // Name, color and skin: chosen before joining and changeable mid-match
+    socket.on('setIdentity', (data, callback) => {
+        try {
+            const identity = validateIdentity(data);
+            if (nameTaken(identity.name, socket.id)) {
+                throw new IdentityError('Ese nombre ya está en uso');
+            }
+
+            socket.data.identity = identity;
+            const session = viewer();
+            if (session && socket.data.spectating) {
+                session.who.name = identity.name;
+            } else if (session) {
+                session.room.updateIdentity(session.who, identity);
+            }
+            if (typeof callback === 'function') callback({ok: true, identity});
+        } catch (error) {
+            if (!(error instanceof IdentityError)) throw error;
+            if (typeof callback === 'function') callback({ok: false, error: error.message});
+        }
+    });
 
     // Enhanced transport upgrade handling
     socket.conn.on('upgrade', () => {
-        console.log(`🔄 ${socket.id} upgraded to ${socket.conn.transport.name}`);
-        if (gameState.players.has(socket.id)) {
-            gameState.players.get(socket.id).transport = socket.conn.transport.name;
+        netLog.debug('Transporte mejorado', {socket: socket.id, transport: socket.conn.transport.name});
+        const session = current();
+        if (session) {
+            session.player.transport = socket.conn.transport.name;
         }
     });
 
     socket.conn.on('upgradeError', (error) => {
-        console.error(`❌ Upgrade error for ${socket.id}:`, error);
+        netLog.warn('Error mejorando el transporte', {socket: socket.id, error});
     });
 
     // Connection monitoring
@@ -153,108 +422,126 @@ io.on('connection', (socket) => {
         callback && callback();
     });
 
-    // Enhanced player movement with validation
-    socket.on('playerMove', (data) => {
-        const player = gameState.players.get(socket.id);
-        if (player && data && typeof data.x === 'number' && typeof data.y === 'number') {
-            // Validate movement bounds
-            player.x = Math.max(20, Math.min(800, data.x));
-            player.y = Math.max(20, Math.min(600, data.y));
-            player.angle = data.angle || 0;
-            player.lastActivity = Date.now();
-
-            socket.broadcast.emit('playerMoved', {
-                id: socket.id,
-                x: player.x,
-                y: player.y,
-                angle: player.angle
-            });
+    // Clock sync for client-side interpolation
+    socket.on('timeSync', (callback) => {
+        if (typeof callback === 'function') callback(Date.now());
+    });
+
+    // Scoreboard for the Tab key
+    socket.on('getScoreboard', (callback) => {
+        const room = socket.data.room;
+        if (room && typeof callback === 'function') {
+            callback(room.stats.serialize(room.players));
         }
     });
 
-    // Enhanced shooting with rate limiting
-    socket.on('playerShoot', (data) => {
-        const player = gameState.players.get(socket.id);
-        if (player) {
-            const now = Date.now();
-
-            // Rate limiting
-            if (!player.lastShoot || now - player.lastShoot > 200) { // Max 5 shots per second
-                player.lastShoot = now;
-
-                const bullet = {
-                    id: bulletIdCounter++,
-                    playerId: socket.id,
-                    x: player.x,
-                    y: player.y,
-                    angle: player.angle,
-                    speed: 300,
-                    createdAt: now
-                };
-
-                gameState.bullets.set(bullet.id, bullet);
-                io.emit('bulletCreated', bullet);
-
-                // Auto-remove bullet
-                setTimeout(() => {
-                    gameState.bullets.delete(bullet.id);
-                    io.emit('bulletDestroyed', bullet.id);
-                }, 3000);
-            }
+    // Text chat; slash commands and their errors come back to the sender only
+    socket.on('chatMessage', (text, callback) => {
+        const session = viewer();
+        if (!session) return;
+
+        try {
+            session.room.chat.send(session.who, text, Date.now());
+            if (typeof callback === 'function') callback({ok: true});
+        } catch (error) {
+            if (!(error instanceof ChatError)) throw error;
+            if (typeof callback === 'function') callback({ok: false, error: error.message});
+        }
+    });
+
+    socket.on('playerInput', (data) => {
+        const session = current();
+        if (session) {
+            session.room.queueInput(session.player, data);
+        }
+    });
+
+    socket.on('snapshotAck', (seq) => {
+        const session = viewer();
+        if (session) {
+            session.room.acknowledgeSnapshot(session.who, seq);
+        }
+    });
+
+    // The client lost its baseline: start over from a full snapshot
+    socket.on('snapshotResync', () => {
+        const session = viewer();
+        if (session) {
+            session.who.snapshotAck = null;
         }
     });
 
     // Enhanced audio streaming with better error handling
     socket.on('audioStream', (audioData) => {
         try {
-            audioStats.packetsPerSecond++;
-            audioStats.totalPackets++;
+            metrics.voicePackets.inc({outcome: 'received'});
+
+            // guardSocket has checked the shape; only what listeners need is passed on
+            const voice = {data: audioData.data, timestamp: audioData.timestamp};
+
+            // A spectator's voice goes to the spectator channel and nowhere else
+            const watching = viewer();
+            if (watching && socket.data.spectating) {
+                metrics.voicePackets.inc({outcome: 'relayed'}, listenersIn(watching.room.spectatorChannel));
+                socket.to(watching.room.spectatorChannel).emit('audioStream', {
+                    ...voice,
+                    playerId: null,
+                    playerName: watching.who.name,
+                    spectator: true
+                });
+                return;
+            }
+
+            const session = current();
+            if (session) {
+                const {room, player} = session;
+                if (player.voiceMuted) {
+                    metrics.voicePackets.inc({outcome: 'dropped'});
+                    return;
+                }
 
-            const player = gameState.players.get(socket.id);
-            if (player && audioData && audioData.data) {
                 player.audioEnabled = true;
                 player.lastAudioPacket = Date.now();
 
-                // Calculate latency if timestamp provided
-                if (audioData.timestamp) {
-                    const latency = Date.now() - audioData.timestamp;
-                    audioStats.averageLatency = (audioStats.averageLatency + latency) / 2;
-                }
-
                 // Spatial audio (optional)
-                const nearbyPlayers = getNearbyPlayers(player, 300);
+                const nearbyPlayers = room.getNearbyPlayers(player, config.voiceRadius);
 
                 if (nearbyPlayers.length > 0) {
-                    nearbyPlayers.forEach(nearbyPlayerId => {
-                        if (nearbyPlayerId !== socket.id) {
-                            socket.to(nearbyPlayerId).emit('audioStream', {
-                                ...audioData,
-                                playerId: socket.id,
+                    metrics.voicePackets.inc({outcome: 'relayed'}, nearbyPlayers.length);
+                    nearbyPlayers.forEach(nearbySocketId => {
+                        if (nearbySocketId !== socket.id) {
+                            socket.to(nearbySocketId).emit('audioStream', {
+                                ...voice,
+                                playerId: player.id,
                                 playerName: player.name
                             });
                         }
                     });
                 } else {
-                    // Broadcast to all if no spatial audio
-                    socket.broadcast.emit('audioStream', {
-                        ...audioData,
-                        playerId: socket.id,
+                    // Broadcast to the whole room if no spatial audio
+                    metrics.voicePackets.inc({outcome: 'relayed'}, listenersIn(room.channel));
+                    socket.to(room.channel).emit('audioStream', {
+                        ...voice,
+                        playerId: player.id,
                         playerName: player.name
                     });
                 }
+            } else {
+                metrics.voicePackets.inc({outcome: 'dropped'});
             }
         } catch (error) {
-            console.error(`❌ Audio stream error for ${socket.id}:`, error);
+            audioLog.error('Error reenviando audio', {socket: socket.id, error});
         }
     });
 
     // Audio state changes
     socket.on('audioStateChanged', (state) => {
-        const player = gameState.players.get(socket.id);
-        if (player && state && typeof state.enabled === 'boolean') {
-            player.audioEnabled = state.enabled;
-            socket.broadcast.emit('playerAudioState', {
-                playerId: socket.id,
+        const session = current();
+        if (session && state && typeof state.enabled === 'boolean') {
+            if (session.player.voiceMuted && state.enabled) return;
+            session.player.audioEnabled = state.enabled;
+            socket.to(session.room.channel).emit('playerAudioState', {
+                playerId: session.player.id,
                 audioEnabled: state.enabled
             });
         }
@@ -262,131 +549,198 @@ io.on('connection', (socket) => {
 
     // Enhanced disconnect handling
     socket.on('disconnect', (reason) => {
-        const player = gameState.players.get(socket.id);
-        const sessionDuration = player ? (Date.now() - player.connectedAt) / 1000 : 0;
+        const session = current();
+        const sessionDuration = session ? (Date.now() - session.player.connectedAt) / 1000 : 0;
 
-        console.log(`👋 ${socket.id} desconectado (${reason}) - Sesión: ${sessionDuration.toFixed(1)}s`);
+        netLog.info('Desconectado', {socket: socket.id, reason, session: Math.round(sessionDuration * 10) / 10});
 
-        gameState.players.delete(socket.id);
-        socket.broadcast.emit('playerLeft', socket.id);
+        // Closing on purpose (or being kicked) frees the tank; a dropped connection keeps it for a resume
+        if (session && reason !== 'client namespace disconnect' && !socket.data.kicked) {
+            session.room.suspendPlayer(session.player, Date.now());
+            socket.data.room = null;
+            socket.data.playerId = null;
+        } else {
+            leaveRoom();
+        }
     });
 
     // Error handling
     socket.on('error', (error) => {
-        console.error(`❌ Socket error ${socket.id}:`, error);
+        netLog.error('Error de socket', {socket: socket.id, error});
     });
 });
 
-// Utility functions (existing)
-function getNearbyPlayers(player, radius) {
-    const nearbyPlayers = [];
-    gameState.players.forEach((otherPlayer, playerId) => {
-        if (playerId !== player.id) {
-            const distance = Math.sqrt(
-                Math.pow(player.x - otherPlayer.x, 2) +
-                Math.pow(player.y - otherPlayer.y, 2)
-            );
-            if (distance <= radius) {
-                nearbyPlayers.push(playerId);
-            }
-        }
-    });
-    return nearbyPlayers;
-}
-
-// Enhanced game loop
-setInterval(() => {
-    gameState.bullets.forEach((bullet, id) => {
-        const radians = bullet.angle * Math.PI / 180;
-        bullet.x += Math.cos(radians) * bullet.speed * (1 / 60);
-        bullet.y += Math.sin(radians) * bullet.speed * (1 / 60);
-        if (bullet.x < 0 || bullet.x > 800 || bullet.y < 0 || bullet.y > 600) {
-            gameState.bullets.delete(id);
-            io.emit('bulletDestroyed', id);
-        } else {
-            gameState.players.forEach((player) => {
-                const dx = bullet.x - player.x;
-                const dy = bullet.y - player.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                if (distance < 20) { // Assuming tank radius is 15
-                    if (player.id !== bullet.playerId) {
-                        io.emit('playerDamaged', {id: player.id, damage: 10});
-                        io.emit('bulletDestroyed', id);
-                        gameState.bullets.delete(id);
-                    }
-                }
-            });
-        }
-    });
-}, 1000 / 60);
-
-// Cleanup inactive players
+// Cleanup inactive players and empty rooms
 setInterval(() => {
     const now = Date.now();
-    gameState.players.forEach((player, playerId) => {
-        // Audio timeout
-        if (player.audioEnabled && (now - player.lastAudioPacket) > 5000) {
-            player.audioEnabled = false;
-            console.log(`🔇 Audio timeout para ${playerId}`);
-        }
-
-        // Player inactivity timeout (10 minutes)
-        if (player.lastActivity && (now - player.lastActivity) > 600000) {
-            console.log(`⏰ Timeout de inactividad para ${playerId}`);
-            gameState.players.delete(playerId);
-            io.emit('playerLeft', playerId);
-        }
-    });
+    rooms.forEach(room => room.cleanupInactive(now));
+    rooms.cleanup(now);
+    admin.flushDenials(now);
 }, 2000);
 
 // Enhanced statistics
 setInterval(() => {
-    const activeAudioPlayers = Array.from(gameState.players.values())
-        .filter(p => p.audioEnabled).length;
+    let activeAudioPlayers = 0;
+    rooms.forEach(room => {
+        room.players.forEach(p => {
+            if (p.audioEnabled) activeAudioPlayers++;
+        });
+    });
 
     audioStats.activeStreams = activeAudioPlayers;
 
-    console.log(`📊 Stats: ${audioStats.packetsPerSecond} pkt/s, ${audioStats.activeStreams} audio, ${gameState.players.size} jugadores, latencia promedio: ${audioStats.averageLatency.toFixed(1)}ms`);
+    const latency = metrics.latency.summary();
+    log.debug('Estadísticas', {
+        voicePacketsPerSecond: audioStats.packetsPerSecond,
+        voiceStreams: audioStats.activeStreams,
+        players: rooms.playerCount(),
+        rooms: rooms.rooms.size,
+        rttP50: latency.p50,
+        rttP99: latency.p99
+    });
 }, 5000);
 
-// Enhanced stats endpoint
+// Read at scrape time
+addGauge('tank_rooms', 'Open rooms', () => [{value: rooms.rooms.size}]);
+addGauge('tank_room_players', 'Tanks in each room, humans and bots apart', () => {
+    const values = [];
+    rooms.forEach(room => {
+        const labels = {room: room.code, mode: room.modeId, map: room.map.id};
+        values.push({labels: {...labels, kind: 'human'}, value: room.humanCount()});
+        values.push({labels: {...labels, kind: 'bot'}, value: room.players.size - room.humanCount()});
+    });
+    return values;
+});
+addGauge('tank_room_spectators', 'Spectators in each room', () => {
+    const values = [];
+    rooms.forEach(room => values.push({labels: {room: room.code}, value: room.spectators.size}));
+    return values;
+});
+addGauge('tank_room_bullets', 'Bullets in flight in each room', () => {
+    const values = [];
+    rooms.forEach(room => values.push({labels: {room: room.code}, value: room.bullets.size}));
+    return values;
+});
+addGauge('tank_sockets_connected', 'Connected Socket.IO clients', () => [{value: io.engine.clientsCount}]);
+addGauge('tank_voice_streams_active', 'Players who have sent voice this session', () => [{value: audioStats.activeStreams}]);
+addGauge('tank_process_resident_memory_bytes', 'Resident set size of the server process', () => [{value: process.memoryUsage().rss}]);
+addGauge('tank_process_uptime_seconds', 'Seconds since the server started', () => [{value: process.uptime()}]);
+
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+// A point every HISTORY_INTERVAL for /stats?window=
+const statsHistory = new StatsHistory(() => {
+    let spectators = 0;
+    let bots = 0;
+    rooms.forEach(room => {
+        spectators += room.spectators.size;
+        bots += room.players.size - room.humanCount();
+    });
+    return {
+        players: rooms.playerCount(),
+        bots,
+        spectators,
+        rooms: rooms.rooms.size,
+        memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024)
+    };
+});
+statsHistory.start();
+
+// Live numbers from /stats?window=15m
+app.get('/dashboard', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/dashboard.html'));
+});
+
+// Enhanced stats endpoint; ?window=15m (s, m or h) adds the history for that long
 app.get('/stats', (req, res) => {
-    const players = Array.from(gameState.players.values()).map(p => ({
-        id: p.id,
-        name: p.name,
-        transport: p.transport,
-        audioEnabled: p.audioEnabled,
-        sessionDuration: (Date.now() - p.connectedAt) / 1000
-    }));
+    const now = Date.now();
+    let windowMs = null;
+    if (req.query.window !== undefined) {
+        windowMs = parseWindow(req.query.window);
+        if (windowMs === null || windowMs === 0) {
+            return res.status(400).json({error: 'Ventana no válida: usa por ejemplo 90s, 15m o 2h'});
+        }
+        if (windowMs > HISTORY_RETENTION) {
+            return res.status(400).json({error: `La historia solo guarda ${HISTORY_RETENTION / 3600000} h`});
+        }
+    }
+
+    const roomDetails = [];
+    const players = [];
+
+    rooms.forEach(room => {
+        roomDetails.push({...room.summary(), bullets: room.bullets.size});
+        room.players.forEach(p => players.push({
+            id: p.id,
+            name: p.name,
+            room: room.code,
+            isBot: p.isBot === true,
+            transport: p.transport,
+            audioEnabled: p.audioEnabled,
+            sessionDuration: (now - p.connectedAt) / 1000
+        }));
+    });
 
     res.json({
-        players: gameState.players.size,
-        bullets: gameState.bullets.size,
+        players: rooms.playerCount(),
+        rooms: roomDetails,
         audio: audioStats,
+        latency: metrics.latency.summary(now),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
-        playerDetails: players
+        playerDetails: players,
+        ...(windowMs !== null && {
+            history: {window: req.query.window, interval: HISTORY_INTERVAL, points: statsHistory.since(windowMs, now)}
+        })
     });
 });
 
 // Error handling
 server.on('error', (error) => {
-    console.error('❌ Server error:', error);
+    log.error('Error del servidor', {error});
 });
 
 process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught exception:', error);
+    log.error('Excepción no capturada', {error});
+});
+
+process.on('unhandledRejection', (reason) => {
+    log.error('Promesa rechazada sin capturar', {error: reason});
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled rejection at:', promise, 'reason:', reason);
+// kill -HUP <pid> re-reads config.json; a bad file is reported and the current settings stay
+process.on('SIGHUP', () => {
+    try {
+        const changed = reloadConfig();
+        if (changed.length === 0) {
+            log.info('Configuración recargada, sin cambios');
+            return;
+        }
+
+        const values = {};
+        changed.forEach(name => {
+            values[name] = config[name];
+        });
+        log.info('Configuración recargada', values);
+        rooms.forEach(room => room.applyConfig());
+        io.emit('serverConfig', clientConfig());
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        log.error('Configuración no recargada', {error: error.message});
+    }
 });
 
-const PORT = process.env.PORT || 65534;
+const PORT = config.port;
 server.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Servidor corriendo en puerto ${PORT}`);
-    console.log(`🎮 Battle City con audio en tiempo real`);
-    console.log(`🌐 Accesible en todas las interfaces de red`);
-    console.log(`📊 Stats: http://localhost:${PORT}/stats`);
-    console.log(`💚 Health: http://localhost:${PORT}/health`);
+    log.info('Servidor en marcha', {
+        port: PORT,
+        stats: `http://localhost:${PORT}/stats`,
+        dashboard: `http://localhost:${PORT}/dashboard`,
+        metrics: `http://localhost:${PORT}/metrics`,
+        health: `http://localhost:${PORT}/health`,
+        admin: adminEnabled() ? `http://localhost:${PORT}/admin` : null
+    });
 });
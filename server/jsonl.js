@@ -0,0 +1,22 @@
+// Reading back the append-only JSON lines files: profiles, the admin audit log and the recordings index
+const fs = require('fs');
+
+// Every line that parses, in file order; [] if there is no file yet.
+// A crash mid-write leaves at most a torn last line, so a line that doesn't parse is skipped
+// rather than losing the whole file; onSkipped(lineNumber) hears about each one
+function readJsonLines(file, onSkipped = () => {}) {
+    if (!fs.existsSync(file)) return [];
+
+    const entries = [];
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+        if (line.trim() === '') return;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            onSkipped(i + 1);
+        }
+    });
+    return entries;
+}
+
+module.exports = {readJsonLines};
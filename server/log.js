@@ -0,0 +1,91 @@
+// Leveled logging, one JSON object per line, per subsystem:
+//   server  startup, settings and files on disk
+//   net     HTTP and socket connections
+//   game    rooms, matches and what happens in them
+//   audio   voice
+//   admin   the admin console and its actions
+// LOG_LEVEL sets the level for all of them and, after a comma, for each one: LOG_LEVEL=info,net=debug,audio=off
+// LOG_FORMAT=text prints one readable line per entry instead, for a terminal
+const LEVELS = {off: 0, error: 1, warn: 2, info: 3, debug: 4};
+const SUBSYSTEMS = ['server', 'net', 'game', 'audio', 'admin'];
+const DEFAULT_LEVEL = 'info';
+
+// A bad LOG_LEVEL shouldn't keep the server from starting: it is reported and the default used
+function parseLevels(text) {
+    const levels = {};
+    const problems = [];
+    let fallback = DEFAULT_LEVEL;
+
+    String(text || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [name, level] = part.includes('=') ? part.split('=').map(value => value.trim()) : [null, part];
+        if (name !== null && !SUBSYSTEMS.includes(name)) {
+            problems.push(`subsistema desconocido "${name}"`);
+        } else if (!Object.keys(LEVELS).includes(level)) {
+            problems.push(`nivel desconocido "${level}"`);
+        } else if (name === null) {
+            fallback = level;
+        } else {
+            levels[name] = level;
+        }
+    });
+
+    SUBSYSTEMS.forEach(name => {
+        if (!levels[name]) levels[name] = fallback;
+    });
+    return {levels, problems};
+}
+
+const {levels, problems} = parseLevels(process.env.LOG_LEVEL);
+const textFormat = process.env.LOG_FORMAT === 'text';
+
+// Errors don't survive JSON.stringify on their own
+function serializeField(value) {
+    if (value instanceof Error) {
+        return {name: value.name, message: value.message, stack: value.stack};
+    }
+    return value;
+}
+
+function format(entry) {
+    if (!textFormat) {
+        return JSON.stringify(entry, (key, value) => serializeField(value));
+    }
+
+    const {time, level, subsystem, msg, ...fields} = entry;
+    const extra = Object.entries(fields).map(([key, value]) => {
+        const shown = serializeField(value);
+        if (shown && shown.stack) return `\n${shown.stack}`;
+        return ` ${key}=${typeof shown === 'string' ? shown : JSON.stringify(shown)}`;
+    }).join('');
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${subsystem}] ${msg}${extra}`;
+}
+
+function write(subsystem, level, msg, fields) {
+    if (LEVELS[level] > LEVELS[levels[subsystem]]) return;
+
+    const line = format({time: new Date().toISOString(), level, subsystem, msg, ...fields});
+    if (LEVELS[level] <= LEVELS.warn) {
+        process.stderr.write(line + '\n');
+    } else {
+        process.stdout.write(line + '\n');
+    }
+}
+
+// log.info('Sala creada', {room: 'ABCDE'}); fields end up next to msg in the JSON
+function createLogger(subsystem) {
+    if (!SUBSYSTEMS.includes(subsystem)) {
+        throw new Error(`Unknown log subsystem "${subsystem}"`);
+    }
+    return {
+        error: (msg, fields = {}) => write(subsystem, 'error', msg, fields),
+        warn: (msg, fields = {}) => write(subsystem, 'warn', msg, fields),
+        info: (msg, fields = {}) => write(subsystem, 'info', msg, fields),
+        debug: (msg, fields = {}) => write(subsystem, 'debug', msg, fields),
+        // For work that only exists to build a debug message
+        enabled: level => LEVELS[level] <= LEVELS[levels[subsystem]]
+    };
+}
+
+problems.forEach(problem => createLogger('server').warn(`LOG_LEVEL: ${problem}, se ignora`));
+
+module.exports = {createLogger, SUBSYSTEMS};
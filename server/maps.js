@@ -0,0 +1,293 @@
+// Map loading, validation and rotation
+const fs = require('fs');
+const path = require('path');
+const Terrain = require('../shared/terrain');
+const {createLogger} = require('./log');
+
+const log = createLogger('server');
+
+const MAPS_DIR = path.join(__dirname, '../maps');
+const MAX_TILES_PER_SIDE = 100;
+
+// Grid markers that are plain ground with something placed on them
+const MARKERS = {
+    'S': 'spawn',
+    '1': 'spawn',
+    '2': 'spawn',
+    'A': 'base',
+    'B': 'base',
+    '*': 'pickup'
+};
+
+class MapError extends Error {
+    constructor(file, message) {
+        super(`${file}: ${message}`);
+        this.name = 'MapError';
+        this.file = file;
+    }
+}
+
+// ASCII format: "key: value" header lines, a blank line, then the tile grid
+function parseAsciiMap(file, source) {
+    const lines = source.replace(/\r/g, '').split('\n');
+    const header = {};
+    let i = 0;
+
+    for (; i < lines.length && lines[i].trim() !== ''; i++) {
+        const match = lines[i].match(/^(\w+)\s*:\s*(.*)$/);
+        if (!match) {
+            throw new MapError(file, `line ${i + 1}: expected "key: value" header, got "${lines[i]}"`);
+        }
+        header[match[1]] = match[2].trim();
+    }
+
+    const grid = lines.slice(i + 1).filter(line => line.trim() !== '');
+    const spawns = [];
+    const bases = [];
+    const pickups = [];
+
+    const tiles = grid.map((line, row) => {
+        return line.split('').map((symbol, col) => {
+            if (symbol === 'S' || symbol === '1' || symbol === '2') {
+                spawns.push({x: col, y: row, team: symbol === 'S' ? null : Number(symbol)});
+            } else if (symbol === 'A' || symbol === 'B') {
+                bases.push({x: col, y: row, team: symbol === 'A' ? 1 : 2});
+            } else if (symbol === '*') {
+                pickups.push({x: col, y: row});
+            }
+            return MARKERS[symbol] ? '.' : symbol;
+        }).join('');
+    });
+
+    return {
+        name: header.name,
+        tileSize: header.tileSize !== undefined ? Number(header.tileSize) : undefined,
+        width: header.width !== undefined ? Number(header.width) : undefined,
+        height: header.height !== undefined ? Number(header.height) : undefined,
+        tiles,
+        spawns,
+        bases,
+        pickups
+    };
+}
+
+function parseJsonMap(file, source) {
+    try {
+        return JSON.parse(source);
+    } catch (error) {
+        throw new MapError(file, `invalid JSON (${error.message})`);
+    }
+}
+
+function validatePoints(file, points, kind, terrain) {
+    if (!Array.isArray(points)) {
+        throw new MapError(file, `"${kind}" must be an array`);
+    }
+
+    points.forEach((point, i) => {
+        if (!point || !Number.isInteger(point.x) || !Number.isInteger(point.y)) {
+            throw new MapError(file, `${kind}[${i}] needs integer tile coordinates x and y`);
+        }
+        if (!terrain.inBounds(point.x, point.y)) {
+            throw new MapError(file, `${kind}[${i}] (${point.x}, ${point.y}) is outside the map`);
+        }
+        const type = terrain.getType(point.x, point.y);
+        if (type === Terrain.TILE.WATER || Terrain.isBlockTile(type)) {
+            throw new MapError(file, `${kind}[${i}] (${point.x}, ${point.y}) is on a blocked tile`);
+        }
+        if (point.team !== undefined && point.team !== null && point.team !== 1 && point.team !== 2) {
+            throw new MapError(file, `${kind}[${i}] has invalid team ${point.team} (expected 1 or 2)`);
+        }
+    });
+}
+
+// Checks a raw map definition and turns it into the runtime shape (pixel coordinates)
+function validateMap(id, file, raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new MapError(file, 'map definition must be an object');
+    }
+
+    const tileSize = raw.tileSize === undefined ? 40 : raw.tileSize;
+    if (!Number.isInteger(tileSize) || tileSize < 16 || tileSize > 128) {
+        throw new MapError(file, `tileSize must be an integer between 16 and 128, got ${raw.tileSize}`);
+    }
+
+    const tiles = raw.tiles;
+    if (!Array.isArray(tiles) || tiles.length === 0 || !tiles.every(row => typeof row === 'string')) {
+        throw new MapError(file, '"tiles" must be a non-empty array of strings');
+    }
+
+    const cols = tiles[0].length;
+    const rows = tiles.length;
+    if (cols === 0 || cols > MAX_TILES_PER_SIDE || rows > MAX_TILES_PER_SIDE) {
+        throw new MapError(file, `map must be between 1 and ${MAX_TILES_PER_SIDE} tiles per side, got ${cols}x${rows}`);
+    }
+
+    tiles.forEach((row, i) => {
+        if (row.length !== cols) {
+            throw new MapError(file, `row ${i} has ${row.length} tiles, expected ${cols}`);
+        }
+    });
+
+    if (raw.width !== undefined && raw.width !== cols) {
+        throw new MapError(file, `declared width ${raw.width} does not match the ${cols} columns in the grid`);
+    }
+    if (raw.height !== undefined && raw.height !== rows) {
+        throw new MapError(file, `declared height ${raw.height} does not match the ${rows} rows in the grid`);
+    }
+
+    let terrain;
+    try {
+        terrain = Terrain.fromRows(tiles, tileSize);
+    } catch (error) {
+        throw new MapError(file, error.message);
+    }
+
+    const spawns = raw.spawns || [];
+    const bases = raw.bases || [];
+    const pickups = raw.pickups || [];
+
+    validatePoints(file, spawns, 'spawns', terrain);
+    validatePoints(file, bases, 'bases', terrain);
+    validatePoints(file, pickups, 'pickups', terrain);
+
+    if (spawns.length === 0) {
+        throw new MapError(file, 'map needs at least one spawn point');
+    }
+
+    const baseTeams = new Set();
+    bases.forEach((base, i) => {
+        if (base.team !== 1 && base.team !== 2) {
+            throw new MapError(file, `bases[${i}] must belong to team 1 or 2`);
+        }
+        if (baseTeams.has(base.team)) {
+            throw new MapError(file, `team ${base.team} has more than one base`);
+        }
+        baseTeams.add(base.team);
+    });
+
+    const toPixels = point => ({
+        ...point,
+        col: point.x,
+        row: point.y,
+        x: (point.x + 0.5) * tileSize,
+        y: (point.y + 0.5) * tileSize
+    });
+
+    return {
+        id,
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : id,
+        tileSize,
+        cols,
+        rows,
+        width: cols * tileSize,
+        height: rows * tileSize,
+        tiles: tiles.slice(),
+        spawns: spawns.map(spawn => toPixels({team: null, ...spawn})),
+        bases: bases.map(toPixels),
+        pickups: pickups.map(toPixels)
+    };
+}
+
+function findMapFile(id) {
+    for (const ext of ['.json', '.txt']) {
+        const file = path.join(MAPS_DIR, id + ext);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+function loadMap(id) {
+    if (!/^[\w-]+$/.test(id)) {
+        throw new MapError(id, 'map ids may only contain letters, numbers, "-" and "_"');
+    }
+
+    const file = findMapFile(id);
+    if (!file) {
+        throw new MapError(id, `no ${id}.json or ${id}.txt in ${MAPS_DIR}`);
+    }
+
+    const source = fs.readFileSync(file, 'utf8');
+    const name = path.basename(file);
+    const raw = file.endsWith('.json') ? parseJsonMap(name, source) : parseAsciiMap(name, source);
+    return validateMap(id, name, raw);
+}
+
+function listMapIds() {
+    return fs.readdirSync(MAPS_DIR)
+        .filter(file => file.endsWith('.json') || file.endsWith('.txt'))
+        .filter(file => file !== 'playlist.json')
+        .map(file => path.basename(file, path.extname(file)))
+        .sort();
+}
+
+// Playlist order: MAP_ROTATION env var, then maps/playlist.json, then every map in the folder
+function loadPlaylist() {
+    if (process.env.MAP_ROTATION) {
+        return process.env.MAP_ROTATION.split(',').map(id => id.trim()).filter(Boolean);
+    }
+
+    const playlistFile = path.join(MAPS_DIR, 'playlist.json');
+    if (fs.existsSync(playlistFile)) {
+        const playlist = parseJsonMap('playlist.json', fs.readFileSync(playlistFile, 'utf8'));
+        if (!Array.isArray(playlist) || !playlist.every(id => typeof id === 'string')) {
+            throw new MapError('playlist.json', 'playlist must be an array of map ids');
+        }
+        return playlist;
+    }
+
+    return listMapIds();
+}
+
+// Validate everything up front so a broken map is reported at startup, not mid-session
+function loadMaps(ids) {
+    const maps = [];
+    ids.forEach(id => {
+        try {
+            maps.push(loadMap(id));
+        } catch (error) {
+            log.error('Mapa descartado', {map: id, error: error.message});
+        }
+    });
+
+    if (maps.length === 0) {
+        throw new MapError('playlist', 'no valid maps to play');
+    }
+    return maps;
+}
+
+// Each room's place in the playlist; the maps themselves are loaded once and shared
+class MapRotation {
+    constructor(maps) {
+        this.maps = maps;
+        this.index = -1;
+    }
+
+    next() {
+        this.index = (this.index + 1) % this.maps.length;
+        return this.maps[this.index];
+    }
+
+    peek() {
+        return this.maps[(this.index + 1) % this.maps.length];
+    }
+
+    // A specific map, e.g. picked by an admin; the rotation carries on after it if it's part of the playlist
+    jumpTo(id) {
+        const index = this.maps.findIndex(map => map.id === id);
+        if (index === -1) return loadMap(id);
+
+        this.index = index;
+        return this.maps[index];
+    }
+}
+
+module.exports = {
+    MapError,
+    MapRotation,
+    loadMap,
+    loadMaps,
+    loadPlaylist,
+    listMapIds,
+    validateMap
+};
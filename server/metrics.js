@@ -0,0 +1,310 @@
+// Server metrics: counters and histograms for /metrics (Prometheus text format) and a rolling
+// in-memory history of the same numbers for /stats?window=15m and the /dashboard page
+const TICK_BUCKETS = [0.0005, 0.001, 0.002, 0.004, 0.008, 0.016, 0.033, 0.066]; // s; 0.016 is the whole 60 Hz budget
+const LATENCY_WINDOW = 60 * 1000; // ms of round trips the latency percentiles cover
+const LATENCY_QUANTILES = [0.5, 0.9, 0.99];
+const HISTORY_INTERVAL = 10 * 1000; // ms between history points
+const HISTORY_RETENTION = 24 * 60 * 60 * 1000; // ms of history kept
+const WINDOW_UNITS = {s: 1000, m: 60 * 1000, h: 60 * 60 * 1000};
+
+function labelKey(labels) {
+    return JSON.stringify(labels);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, q) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.values = new Map(); // label key -> {labels, value}
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = this.values.get(key);
+        if (entry) {
+            entry.value += amount;
+        } else {
+            this.values.set(key, {labels, value: amount});
+        }
+    }
+
+    get(labels = {}) {
+        const entry = this.values.get(labelKey(labels));
+        return entry ? entry.value : 0;
+    }
+
+    // Sum over every label set, for the history
+    total() {
+        let total = 0;
+        this.values.forEach(entry => {
+            total += entry.value;
+        });
+        return total;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        this.values.forEach(({labels, value}) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+        return lines;
+    }
+}
+
+// Values are read when /metrics is scraped: collect() returns [{labels, value}]
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+        this.collect().forEach(({labels = {}, value}) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+        return lines;
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.counts = buckets.map(() => 0);
+        this.count = 0;
+        this.sum = 0;
+        this.peak = 0; // largest value since the last history point
+    }
+
+    observe(value) {
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) this.counts[i]++;
+        }
+        this.count++;
+        this.sum += value;
+        if (value > this.peak) this.peak = value;
+    }
+
+    takePeak() {
+        const peak = this.peak;
+        this.peak = 0;
+        return peak;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.buckets.forEach((bucket, i) => lines.push(`${this.name}_bucket{le="${bucket}"} ${this.counts[i]}`));
+        lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+        lines.push(`${this.name}_sum ${this.sum}`);
+        lines.push(`${this.name}_count ${this.count}`);
+        return lines;
+    }
+}
+
+// Percentiles over the last LATENCY_WINDOW ms of samples, rendered as a Prometheus summary in seconds
+class LatencyWindow {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.samples = []; // {t, ms}, oldest first
+        this.count = 0;
+        this.sum = 0;
+    }
+
+    observe(ms, now = Date.now()) {
+        this.samples.push({t: now, ms});
+        this.count++;
+        this.sum += ms / 1000;
+        this.trim(now);
+    }
+
+    trim(now) {
+        let stale = 0;
+        while (stale < this.samples.length && now - this.samples[stale].t > LATENCY_WINDOW) stale++;
+        if (stale > 0) this.samples.splice(0, stale);
+    }
+
+    // {samples, mean, p50, p90, p99} in ms
+    summary(now = Date.now()) {
+        this.trim(now);
+        const sorted = this.samples.map(sample => sample.ms).sort((a, b) => a - b);
+        const summary = {
+            samples: sorted.length,
+            mean: sorted.length > 0 ? sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length : 0
+        };
+        LATENCY_QUANTILES.forEach(q => {
+            summary[`p${Math.round(q * 100)}`] = percentile(sorted, q);
+        });
+        return summary;
+    }
+
+    render(now = Date.now()) {
+        this.trim(now);
+        const sorted = this.samples.map(sample => sample.ms).sort((a, b) => a - b);
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} summary`];
+        LATENCY_QUANTILES.forEach(q => lines.push(`${this.name}{quantile="${q}"} ${percentile(sorted, q) / 1000}`));
+        lines.push(`${this.name}_sum ${this.sum}`);
+        lines.push(`${this.name}_count ${this.count}`);
+        return lines;
+    }
+}
+
+// Shared by the whole server, like config: rooms and socket handlers record into it directly
+const metrics = {
+    tickDuration: new Histogram('tank_tick_duration_seconds', 'Time spent running one room tick', TICK_BUCKETS),
+    eventsIn: new Counter('tank_socket_events_received_total', 'Socket.IO events received from clients, by event'),
+    eventsOut: new Counter('tank_socket_events_sent_total', 'Socket.IO events delivered to clients, by event; a broadcast counts once per client'),
+    bytesIn: new Counter('tank_socket_bytes_received_total', 'Socket.IO payload bytes received from clients'),
+    bytesOut: new Counter('tank_socket_bytes_sent_total', 'Socket.IO payload bytes sent to clients'),
+    voicePackets: new Counter('tank_voice_packets_total', 'Voice packets by outcome: received, relayed (once per listener) or dropped'),
+    rejectedEvents: new Counter('tank_socket_events_rejected_total', 'Socket.IO events dropped before their handler, by event and reason: unknown, rate or invalid'),
+    abuseDisconnects: new Counter('tank_socket_abuse_disconnects_total', 'Sockets disconnected for sending too many rejected events'),
+    latency: new LatencyWindow('tank_client_rtt_seconds', `Round trip from sending a snapshot to its ack, over the last ${LATENCY_WINDOW / 1000} s`),
+    gauges: []
+};
+
+function addGauge(name, help, collect) {
+    metrics.gauges.push(new Gauge(name, help, collect));
+}
+
+function renderMetrics(now = Date.now()) {
+    const lines = [
+        ...metrics.tickDuration.render(),
+        ...metrics.eventsIn.render(),
+        ...metrics.eventsOut.render(),
+        ...metrics.bytesIn.render(),
+        ...metrics.bytesOut.render(),
+        ...metrics.voicePackets.render(),
+        ...metrics.rejectedEvents.render(),
+        ...metrics.abuseDisconnects.render(),
+        ...metrics.latency.render(now)
+    ];
+    metrics.gauges.forEach(gauge => lines.push(...gauge.render()));
+    return lines.join('\n') + '\n';
+}
+
+// The event name of an encoded Socket.IO packet ('2["snapshot",...]', '51-/admin,7["x",...]'); null for acks and the rest
+const EVENT_PACKET = /^[25](?:\d+-)?(?:\/[^,]*,)?\d*\["((?:[^"\\]|\\.)*)"/;
+
+function eventName(data) {
+    if (typeof data !== 'string') return null;
+    const match = EVENT_PACKET.exec(data);
+    return match ? match[1] : null;
+}
+
+function byteLength(data) {
+    if (typeof data === 'string') return Buffer.byteLength(data);
+    return data && data.length ? data.length : 0;
+}
+
+// Counts everything the engine writes to one connection, broadcasts included; incoming events are
+// counted per socket with onAny so unknown names can't flood the label set
+function watchConnection(conn) {
+    conn.on('packetCreate', packet => {
+        if (packet.type !== 'message') return;
+        metrics.bytesOut.inc({}, byteLength(packet.data));
+        const event = eventName(packet.data);
+        if (event) metrics.eventsOut.inc({event});
+    });
+    conn.on('packet', packet => {
+        if (packet.type === 'message') metrics.bytesIn.inc({}, byteLength(packet.data));
+    });
+}
+
+function countIncoming(socket) {
+    socket.onAny(event => {
+        metrics.eventsIn.inc({event: socket.listeners(event).length > 0 ? event : 'unknown'});
+    });
+}
+
+// '15m', '90s', '2h' -> ms; null if it doesn't parse
+function parseWindow(text) {
+    const match = /^(\d+)([smh])$/.exec(typeof text === 'string' ? text.trim() : '');
+    return match ? Number(match[1]) * WINDOW_UNITS[match[2]] : null;
+}
+
+// One point every HISTORY_INTERVAL: rates over the interval plus whatever snapshot() returns then
+class StatsHistory {
+    constructor(snapshot) {
+        this.snapshot = snapshot;
+        this.points = [];
+        this.last = null;
+        this.timer = null;
+    }
+
+    start() {
+        this.last = this.totals(Date.now());
+        this.timer = setInterval(() => this.sample(Date.now()), HISTORY_INTERVAL);
+    }
+
+    totals(now) {
+        return {
+            t: now,
+            ticks: metrics.tickDuration.count,
+            tickSeconds: metrics.tickDuration.sum,
+            eventsIn: metrics.eventsIn.total(),
+            eventsOut: metrics.eventsOut.total(),
+            bytesIn: metrics.bytesIn.total(),
+            bytesOut: metrics.bytesOut.total(),
+            voice: metrics.voicePackets.get({outcome: 'received'})
+        };
+    }
+
+    sample(now) {
+        const totals = this.totals(now);
+        const last = this.last;
+        const seconds = (now - last.t) / 1000;
+        const rate = name => Math.round((totals[name] - last[name]) / seconds * 10) / 10;
+        const ticks = totals.ticks - last.ticks;
+        const latency = metrics.latency.summary(now);
+
+        this.points.push({
+            t: now,
+            ...this.snapshot(),
+            tickMs: ticks > 0 ? Math.round((totals.tickSeconds - last.tickSeconds) / ticks * 1e6) / 1000 : 0,
+            tickMaxMs: Math.round(metrics.tickDuration.takePeak() * 1e6) / 1000,
+            eventsIn: rate('eventsIn'),
+            eventsOut: rate('eventsOut'),
+            bytesIn: rate('bytesIn'),
+            bytesOut: rate('bytesOut'),
+            voicePackets: rate('voice'),
+            latencyP50: latency.p50,
+            latencyP90: latency.p90,
+            latencyP99: latency.p99
+        });
+        this.last = totals;
+
+        while (this.points.length > 0 && now - this.points[0].t > HISTORY_RETENTION) this.points.shift();
+    }
+
+    since(windowMs, now = Date.now()) {
+        return this.points.filter(point => now - point.t <= windowMs);
+    }
+}
+
+module.exports = {
+    metrics,
+    addGauge,
+    renderMetrics,
+    watchConnection,
+    countIncoming,
+    parseWindow,
+    StatsHistory,
+    HISTORY_INTERVAL,
+    HISTORY_RETENTION
+};
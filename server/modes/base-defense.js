@@ -0,0 +1,123 @@
+// Classic Battle City: two teams, each defending an eagle base with a shared pool of lives
+const Terrain = require('../../shared/terrain');
+const {TeamMode, TEAMS, otherTeam} = require('./team-mode');
+
+const LIVES_PER_TEAM = 20;
+
+// Tiles around a base that become brick; water and steel are left as the map has them
+const FORTIFIABLE = [Terrain.TILE.EMPTY, Terrain.TILE.TREES, Terrain.TILE.ICE];
+
+class BaseDefense extends TeamMode {
+    constructor(room) {
+        super(room);
+        this.id = 'base-defense';
+        this.name = 'Defensa de la base';
+        this.lives = {1: LIVES_PER_TEAM, 2: LIVES_PER_TEAM};
+        this.bases = [];
+    }
+
+    // Only maps with a base for each team can be played in this mode
+    static supports(map) {
+        return TEAMS.every(team => map.bases.some(base => base.team === team));
+    }
+
+    setup() {
+        const {map, terrain} = this.room;
+
+        this.bases = map.bases.map(base => ({
+            team: base.team,
+            col: base.col,
+            row: base.row,
+            x: base.x,
+            y: base.y,
+            alive: true
+        }));
+
+        this.bases.forEach(base => {
+            terrain.setTile(base.col, base.row, Terrain.TILE.BASE, Terrain.FULL_MASK);
+            this.fortify(base);
+        });
+
+        super.setup();
+    }
+
+    // Surround the base with brick, leaving spawn points clear
+    fortify(base) {
+        const {map, terrain} = this.room;
+
+        for (let row = base.row - 1; row <= base.row + 1; row++) {
+            for (let col = base.col - 1; col <= base.col + 1; col++) {
+                if (!terrain.inBounds(col, row) || (col === base.col && row === base.row)) continue;
+                if (!FORTIFIABLE.includes(terrain.getType(col, row))) continue;
+                if (map.spawns.some(spawn => spawn.col === col && spawn.row === row)) continue;
+
+                terrain.setTile(col, row, Terrain.TILE.BRICK, Terrain.FULL_MASK);
+            }
+        }
+    }
+
+    bulletHit(bullet, now) {
+        const size = this.room.map.tileSize;
+        const base = this.bases.find(candidate =>
+            Math.floor(bullet.x / size) === candidate.col && Math.floor(bullet.y / size) === candidate.row);
+        if (!base) return false;
+
+        // A team's own shots can't take out its eagle
+        if (base.alive && bullet.team !== base.team && this.room.match.state === 'playing') {
+            base.alive = false;
+            this.result = {reason: 'baseDestroyed', winner: otherTeam(base.team)};
+            this.room.emit('baseDestroyed', {team: base.team, by: bullet.playerId, t: now});
+            this.broadcast();
+        }
+        return true;
+    }
+
+    onPlayerKilled(player) {
+        if (this.lives[player.team] === undefined) return true;
+
+        if (this.lives[player.team] === 0) {
+            this.checkEliminated(player.team);
+            return false;
+        }
+
+        this.lives[player.team]--;
+        this.broadcast();
+        return true;
+    }
+
+    addLife(team) {
+        if (this.lives[team] === undefined) return;
+        this.lives[team]++;
+        this.broadcast();
+    }
+
+    // A team with no lives left and no tank on the field has lost
+    checkEliminated(team) {
+        let alive = 0;
+        this.room.players.forEach(player => {
+            if (player.team === team && player.alive) alive++;
+        });
+
+        if (alive === 0 && !this.result) {
+            this.result = {reason: 'noLives', winner: otherTeam(team)};
+        }
+    }
+
+    // On time, the team that lost fewer lives wins
+    timeLimitResult() {
+        if (this.lives[1] === this.lives[2]) {
+            return {reason: 'timeLimit', winner: null};
+        }
+        return {reason: 'timeLimit', winner: this.lives[1] > this.lives[2] ? 1 : 2};
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            lives: {...this.lives},
+            bases: this.bases.map(base => ({team: base.team, col: base.col, row: base.row, alive: base.alive}))
+        };
+    }
+}
+
+module.exports = {BaseDefense};
@@ -0,0 +1,150 @@
+// Capture the flag: bring the enemy flag to your own flag while yours is at home
+const {TeamMode, TEAMS} = require('./team-mode');
+
+const SCORE_LIMIT = 3;
+const TIME_LIMIT = 10 * 60 * 1000;
+const TOUCH_DISTANCE = 24; // tank center to flag
+const FLAG_RETURN_DELAY = 30 * 1000; // a dropped flag goes home on its own after this
+
+class CaptureTheFlag extends TeamMode {
+    constructor(room) {
+        super(room);
+        this.id = 'capture-the-flag';
+        this.name = 'Captura la bandera';
+        this.scoreLimit = SCORE_LIMIT;
+        this.timeLimit = TIME_LIMIT;
+        this.flags = [];
+    }
+
+    // Flags stand where the map puts the team bases
+    static supports(map) {
+        return TEAMS.every(team => map.bases.some(base => base.team === team));
+    }
+
+    setup() {
+        this.flags = this.room.map.bases.map(base => ({
+            team: base.team,
+            homeX: base.x,
+            homeY: base.y,
+            x: base.x,
+            y: base.y,
+            carrier: null,
+            droppedAt: 0
+        }));
+
+        super.setup();
+    }
+
+    isHome(flag) {
+        return flag.carrier === null && flag.x === flag.homeX && flag.y === flag.homeY;
+    }
+
+    returnHome(flag) {
+        flag.x = flag.homeX;
+        flag.y = flag.homeY;
+        flag.carrier = null;
+        flag.droppedAt = 0;
+    }
+
+    // Whatever flag the player carries falls where they are
+    dropFlag(player, now) {
+        const flag = this.flags.find(candidate => candidate.carrier === player.id);
+        if (!flag) return false;
+
+        flag.carrier = null;
+        flag.x = player.x;
+        flag.y = player.y;
+        flag.droppedAt = now;
+        this.room.emit('flagEvent', {type: 'dropped', team: flag.team, playerId: player.id});
+        return true;
+    }
+
+    onPlayerKilled(player, bullet, now) {
+        if (this.dropFlag(player, now)) this.broadcast();
+        return true;
+    }
+
+    onPlayerLeft(player) {
+        if (this.dropFlag(player, Date.now())) this.broadcast();
+        super.onPlayerLeft(player);
+    }
+
+    onTeamChange(player) {
+        this.dropFlag(player, Date.now());
+    }
+
+    update(now) {
+        if (this.room.match.state !== 'playing') return;
+        let changed = false;
+
+        this.flags.forEach(flag => {
+            if (flag.carrier !== null) {
+                const carrier = this.room.players.get(flag.carrier);
+                if (carrier) {
+                    flag.x = carrier.x;
+                    flag.y = carrier.y;
+                }
+                return;
+            }
+
+            if (flag.droppedAt && now - flag.droppedAt > FLAG_RETURN_DELAY) {
+                this.returnHome(flag);
+                this.room.emit('flagEvent', {type: 'returned', team: flag.team, playerId: null});
+                changed = true;
+                return;
+            }
+
+            for (const player of this.room.players.values()) {
+                if (!player.alive) continue;
+                if (Math.hypot(player.x - flag.x, player.y - flag.y) > TOUCH_DISTANCE) continue;
+
+                if (player.team !== flag.team) {
+                    flag.carrier = player.id;
+                    flag.droppedAt = 0;
+                    this.room.emit('flagEvent', {type: 'taken', team: flag.team, playerId: player.id});
+                    changed = true;
+                    break;
+                }
+                if (!this.isHome(flag)) {
+                    this.returnHome(flag);
+                    this.room.emit('flagEvent', {type: 'returned', team: flag.team, playerId: player.id});
+                    changed = true;
+                    break;
+                }
+            }
+        });
+
+        // Carriers score by reaching their own flag while it is at home
+        this.flags.forEach(flag => {
+            if (flag.carrier === null) return;
+            const carrier = this.room.players.get(flag.carrier);
+            if (!carrier) return;
+            const own = this.flags.find(candidate => candidate.team === carrier.team);
+            if (!own || !this.isHome(own)) return;
+
+            if (Math.hypot(carrier.x - own.x, carrier.y - own.y) <= TOUCH_DISTANCE) {
+                this.returnHome(flag);
+                this.room.emit('flagEvent', {type: 'captured', team: flag.team, playerId: carrier.id});
+                this.addScore(carrier.team, 1);
+                changed = true;
+            }
+        });
+
+        if (changed) this.broadcast();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            flags: this.flags.map(flag => ({
+                team: flag.team,
+                x: Math.round(flag.x),
+                y: Math.round(flag.y),
+                carrier: flag.carrier,
+                home: this.isHome(flag)
+            }))
+        };
+    }
+}
+
+module.exports = {CaptureTheFlag};
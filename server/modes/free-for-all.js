@@ -0,0 +1,12 @@
+// Every tank for itself; the match only ends on the time limit
+const {GameMode} = require('./game-mode');
+
+class FreeForAll extends GameMode {
+    constructor(room) {
+        super(room);
+        this.id = 'free-for-all';
+        this.name = 'Todos contra todos';
+    }
+}
+
+module.exports = {FreeForAll};
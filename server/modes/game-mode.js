@@ -0,0 +1,88 @@
+// Base class for game modes: a free-for-all with a time limit and no objectives.
+// The room calls these hooks from its match lifecycle and bullet loop.
+const TIME_LIMIT = 5 * 60 * 1000;
+
+class GameMode {
+    constructor(room) {
+        this.room = room;
+        this.id = 'game-mode';
+        this.name = 'Partida';
+        this.teamBased = false;
+        this.timeLimit = TIME_LIMIT;
+        this.scoreLimit = null;
+        this.result = null;
+    }
+
+    // Whether the mode can be played on a map (bases, team spawns...)
+    static supports() {
+        return true;
+    }
+
+    // Match start: terrain is fresh, players are about to respawn
+    setup() {
+        this.room.players.forEach(player => this.assignTeam(player));
+    }
+
+    assignTeam(player) {
+        player.team = null;
+        player.color = player.ownColor;
+    }
+
+    onPlayerLeft() {
+    }
+
+    spawnsFor() {
+        return this.room.map.spawns;
+    }
+
+    canDamage(bullet, victim) {
+        return this.room.friendlyFire || !this.teamBased || bullet.team !== victim.team;
+    }
+
+    // Returns true if the bullet hit a mode objective and is used up
+    bulletHit() {
+        return false;
+    }
+
+    // Returns whether the player may respawn
+    onPlayerKilled() {
+        return true;
+    }
+
+    // Tank power-up; only modes with lives use it
+    addLife() {
+    }
+
+    // The bot wave roster attacking this team ran out
+    onWavesCleared() {
+    }
+
+    // Per-tick objective logic
+    update() {
+    }
+
+    // {reason, winner} once the match is decided, otherwise null
+    checkEnd() {
+        return this.result;
+    }
+
+    timeLimitResult() {
+        return {reason: 'timeLimit', winner: null};
+    }
+
+    broadcast() {
+        this.room.emit('modeState', this.serialize());
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            name: this.name,
+            teamBased: this.teamBased,
+            friendlyFire: this.room.friendlyFire,
+            scoreLimit: this.scoreLimit
+        };
+    }
+}
+
+module.exports = {GameMode, TIME_LIMIT};
@@ -0,0 +1,29 @@
+// Game modes a room can play; the map decides whether the requested one is possible
+const {BaseDefense} = require('./base-defense');
+const {CaptureTheFlag} = require('./ctf');
+const {FreeForAll} = require('./free-for-all');
+const {TeamDeathmatch} = require('./tdm');
+
+const MODES = {
+    'base-defense': BaseDefense,
+    'team-deathmatch': TeamDeathmatch,
+    'capture-the-flag': CaptureTheFlag,
+    'free-for-all': FreeForAll
+};
+
+const DEFAULT_MODE = 'base-defense';
+
+function isModeId(id) {
+    return Object.prototype.hasOwnProperty.call(MODES, id);
+}
+
+// Falls back to team deathmatch (or free-for-all) on maps the mode can't use, e.g. no bases
+function createMode(id, room) {
+    const Mode = MODES[id] || MODES[DEFAULT_MODE];
+    if (!Mode.supports(room.map)) {
+        return TeamDeathmatch.supports(room.map) ? new TeamDeathmatch(room) : new FreeForAll(room);
+    }
+    return new Mode(room);
+}
+
+module.exports = {MODES, DEFAULT_MODE, isModeId, createMode};
@@ -0,0 +1,25 @@
+// Team deathmatch: every enemy destroyed is a point for the team
+const {TeamMode} = require('./team-mode');
+
+const SCORE_LIMIT = 30;
+const TIME_LIMIT = 10 * 60 * 1000;
+
+class TeamDeathmatch extends TeamMode {
+    constructor(room) {
+        super(room);
+        this.id = 'team-deathmatch';
+        this.name = 'Duelo por equipos';
+        this.scoreLimit = SCORE_LIMIT;
+        this.timeLimit = TIME_LIMIT;
+    }
+
+    // Team kills (with friendly fire on) don't score
+    onPlayerKilled(player, bullet) {
+        if (bullet && bullet.team !== null && bullet.team !== player.team) {
+            this.addScore(bullet.team, 1);
+        }
+        return true;
+    }
+}
+
+module.exports = {TeamDeathmatch};
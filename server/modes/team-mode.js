@@ -0,0 +1,144 @@
+// Two teams with their own colors and spawn points, kept balanced as players come and go
+const {GameMode} = require('./game-mode');
+const {createLogger} = require('../log');
+
+const log = createLogger('game');
+
+const TEAMS = [1, 2];
+
+// Same colors the client uses for team names and HUD
+const TEAM_COLORS = {
+    1: '#f0c000',
+    2: '#3cb371'
+};
+
+function otherTeam(team) {
+    return team === 1 ? 2 : 1;
+}
+
+class TeamMode extends GameMode {
+    constructor(room) {
+        super(room);
+        this.teamBased = true;
+        this.scores = {1: 0, 2: 0};
+    }
+
+    // Keep teams from the previous match, fill in whoever has none, then even them out
+    setup() {
+        const players = Array.from(this.room.players.values());
+        players.forEach(player => {
+            if (!TEAMS.includes(player.team)) player.team = null;
+        });
+        players.forEach(player => {
+            if (player.team === null) {
+                this.assignTeam(player);
+            } else {
+                player.color = TEAM_COLORS[player.team];
+            }
+        });
+        while (this.moveFromLargerTeam()) {
+            // keep moving until the difference is at most one
+        }
+    }
+
+    // Players whose team is fixed (bot waves) are left out of balancing
+    isBalanced(player) {
+        return this.room.bots.teamFor(player) === null;
+    }
+
+    teamSizes(except) {
+        const sizes = {1: 0, 2: 0};
+        this.room.players.forEach(player => {
+            if (player !== except && this.isBalanced(player) && sizes[player.team] !== undefined) sizes[player.team]++;
+        });
+        return sizes;
+    }
+
+    // New players join the smaller team
+    assignTeam(player) {
+        const fixed = this.room.bots.teamFor(player);
+        if (fixed !== null) {
+            this.setTeam(player, fixed);
+            return;
+        }
+
+        const sizes = this.teamSizes(player);
+        this.setTeam(player, sizes[1] <= sizes[2] ? 1 : 2);
+    }
+
+    setTeam(player, team) {
+        player.team = team;
+        player.color = TEAM_COLORS[team];
+    }
+
+    onPlayerLeft() {
+        if (this.moveFromLargerTeam()) {
+            this.broadcast();
+        }
+    }
+
+    // Moves one player (preferably a dead one) when teams differ by two or more
+    moveFromLargerTeam() {
+        const sizes = this.teamSizes();
+        if (Math.abs(sizes[1] - sizes[2]) < 2) return false;
+
+        const from = sizes[1] > sizes[2] ? 1 : 2;
+        const candidates = Array.from(this.room.players.values())
+            .filter(player => player.team === from && this.isBalanced(player))
+            .sort((a, b) => (a.alive - b.alive) || (b.connectedAt - a.connectedAt));
+
+        const player = candidates[0];
+        this.onTeamChange(player);
+        this.setTeam(player, otherTeam(from));
+
+        // Moved mid-match: start over at the new team's spawn
+        if (this.room.match && this.room.match.state === 'playing') {
+            this.room.respawnPlayer(player, Date.now());
+        }
+        log.info('Equipos reequilibrados', {room: this.room.code, player: player.id, name: player.name, team: player.team});
+        return true;
+    }
+
+    // Hook for modes that attach state to a player's team (carried flags)
+    onTeamChange() {
+    }
+
+    spawnsFor(player) {
+        const spawns = this.room.map.spawns;
+        const own = spawns.filter(spawn => spawn.team === player.team);
+        if (own.length > 0) return own;
+
+        const neutral = spawns.filter(spawn => spawn.team === null);
+        return neutral.length > 0 ? neutral : spawns;
+    }
+
+    onWavesCleared(team) {
+        if (!this.result) {
+            this.result = {reason: 'wavesCleared', winner: otherTeam(team)};
+        }
+    }
+
+    addScore(team, points) {
+        this.scores[team] += points;
+        if (this.scoreLimit !== null && this.scores[team] >= this.scoreLimit && !this.result) {
+            this.result = {reason: 'scoreLimit', winner: team};
+        }
+        this.broadcast();
+    }
+
+    timeLimitResult() {
+        if (this.scores[1] === this.scores[2]) {
+            return {reason: 'timeLimit', winner: null};
+        }
+        return {reason: 'timeLimit', winner: this.scores[1] > this.scores[2] ? 1 : 2};
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            scores: {...this.scores}
+        };
+    }
+}
+
+module.exports = {TeamMode, TEAMS, TEAM_COLORS, otherTeam};
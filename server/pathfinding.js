@@ -0,0 +1,126 @@
+// A* over the tile grid for bot tanks. Brick is passable at a cost (bots shoot through it);
+// water, steel and bases are not.
+const Terrain = require('../shared/terrain');
+
+const {TILE} = Terrain;
+const BRICK_COST = 5;
+const MAX_EXPANSIONS = 5000; // caps the work per search on big maps
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+function tileCost(terrain, col, row) {
+    switch (terrain.getType(col, row)) {
+        case TILE.WATER:
+        case TILE.STEEL:
+        case TILE.BASE:
+            return Infinity;
+        case TILE.BRICK:
+            return BRICK_COST;
+        default:
+            return 1;
+    }
+}
+
+// Minimal binary heap keyed on f-score
+class OpenSet {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(node, f) {
+        const items = this.items;
+        items.push({node, f});
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.node;
+    }
+}
+
+// Tile path [{col, row}, ...] from start to goal (both included), or null if unreachable.
+// The goal itself may be impassable (a base): the path then ends next to it.
+function findPath(terrain, start, goal) {
+    if (!terrain.inBounds(start.col, start.row) || !terrain.inBounds(goal.col, goal.row)) return null;
+
+    const startIndex = terrain.index(start.col, start.row);
+    const goalIndex = terrain.index(goal.col, goal.row);
+    const cameFrom = new Map();
+    const gScore = new Map([[startIndex, 0]]);
+    const closed = new Set();
+    const open = new OpenSet();
+    open.push(startIndex, 0);
+
+    let expansions = 0;
+    while (open.size > 0 && expansions++ < MAX_EXPANSIONS) {
+        const current = open.pop();
+        if (closed.has(current)) continue;
+        closed.add(current);
+
+        const col = current % terrain.cols;
+        const row = Math.floor(current / terrain.cols);
+
+        for (const [dc, dr] of NEIGHBORS) {
+            const nc = col + dc;
+            const nr = row + dr;
+            if (!terrain.inBounds(nc, nr)) continue;
+
+            const next = terrain.index(nc, nr);
+            if (next === goalIndex) {
+                cameFrom.set(next, current);
+                return rebuild(terrain, cameFrom, next, startIndex);
+            }
+
+            const cost = tileCost(terrain, nc, nr);
+            if (cost === Infinity || closed.has(next)) continue;
+
+            const g = gScore.get(current) + cost;
+            if (g < (gScore.has(next) ? gScore.get(next) : Infinity)) {
+                gScore.set(next, g);
+                cameFrom.set(next, current);
+                open.push(next, g + Math.abs(goal.col - nc) + Math.abs(goal.row - nr));
+            }
+        }
+    }
+
+    return startIndex === goalIndex ? [{col: start.col, row: start.row}] : null;
+}
+
+function rebuild(terrain, cameFrom, last, startIndex) {
+    const path = [];
+    let current = last;
+    while (current !== undefined) {
+        path.unshift({col: current % terrain.cols, row: Math.floor(current / terrain.cols)});
+        if (current === startIndex) break;
+        current = cameFrom.get(current);
+    }
+    return path;
+}
+
+module.exports = {findPath, tileCost};
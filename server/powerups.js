@@ -0,0 +1,247 @@
+// Classic Battle City power-ups. The server spawns them, decides who picks them up
+// and runs every effect timer; clients only draw what they are told.
+const Terrain = require('../shared/terrain');
+const Movement = require('../shared/movement');
+const {config} = require('./config');
+const {createLogger} = require('./log');
+
+const log = createLogger('game');
+
+const {TILE} = Terrain;
+
+const SPAWN_INTERVAL = 15000; // ms between spawns while below the cap
+const MAX_ACTIVE = 2;
+const LIFETIME = 20000; // ms a power-up waits to be picked up
+const PICKUP_DISTANCE = 26;
+
+const HELMET_DURATION = 10000;
+const SHOVEL_DURATION = 15000;
+const TIMER_DURATION = 8000;
+const MAX_STARS = 3;
+const STAR_BULLET_SPEED = 100; // px/s added per star
+
+const TYPES = ['star', 'helmet', 'grenade', 'shovel', 'timer', 'tank'];
+
+// Bullet upgrades per star: faster with each one, steel-breaking at three
+function bulletStats(stars) {
+    return {
+        speed: config.bulletSpeed + STAR_BULLET_SPEED * Math.min(stars, MAX_STARS),
+        power: stars >= MAX_STARS ? 2 : 1
+    };
+}
+
+class PowerUpManager {
+    constructor(room) {
+        this.room = room;
+        this.active = new Map();
+        this.idCounter = 0;
+        this.nextSpawnAt = 0;
+        this.shovels = []; // {team, tiles, endsAt}
+    }
+
+    // New match: nothing carries over
+    reset(now) {
+        this.active.clear();
+        this.shovels = [];
+        this.nextSpawnAt = now + SPAWN_INTERVAL;
+    }
+
+    // Shovel needs a base to protect, the tank icon a pool of lives
+    availableTypes() {
+        const mode = this.room.mode;
+        return TYPES.filter(type => {
+            if (type === 'shovel') return Boolean(mode.bases);
+            if (type === 'tank') return Boolean(mode.lives);
+            return true;
+        });
+    }
+
+    update(now) {
+        if (this.room.match.state !== 'playing') return;
+
+        this.active.forEach((powerUp, id) => {
+            if (now >= powerUp.expiresAt) {
+                this.active.delete(id);
+                this.room.emit('powerUpRemoved', {id});
+            }
+        });
+
+        if (now >= this.nextSpawnAt) {
+            this.nextSpawnAt = now + SPAWN_INTERVAL;
+            if (this.active.size < MAX_ACTIVE) this.spawn(now);
+        }
+
+        this.active.forEach((powerUp, id) => {
+            for (const player of this.room.players.values()) {
+                if (!player.alive) continue;
+                if (Math.hypot(player.x - powerUp.x, player.y - powerUp.y) > PICKUP_DISTANCE) continue;
+
+                this.active.delete(id);
+                this.apply(powerUp, player, now);
+                break;
+            }
+        });
+
+        this.shovels = this.shovels.filter(shovel => {
+            if (now < shovel.endsAt) return true;
+            // A tank in a gap shot through the steel would be bricked in: its tiles wait until it drives off
+            const free = shovel.tiles.filter(tile => !this.tankOnTile(tile.col, tile.row));
+            this.setWalls(free, TILE.BRICK, now);
+            shovel.tiles = shovel.tiles.filter(tile => !free.includes(tile));
+            return shovel.tiles.length > 0;
+        });
+    }
+
+    // Map pickup points first; maps without them get a random open tile
+    spawnPoint() {
+        const pickups = this.room.map.pickups.filter(point =>
+            !Array.from(this.active.values()).some(powerUp => powerUp.x === point.x && powerUp.y === point.y));
+        if (pickups.length > 0) {
+            return pickups[Math.floor(Math.random() * pickups.length)];
+        }
+
+        const terrain = this.room.terrain;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const col = Math.floor(Math.random() * terrain.cols);
+            const row = Math.floor(Math.random() * terrain.rows);
+            if (terrain.getType(col, row) === TILE.EMPTY) {
+                return {x: (col + 0.5) * terrain.tileSize, y: (row + 0.5) * terrain.tileSize};
+            }
+        }
+        return null;
+    }
+
+    spawn(now) {
+        const point = this.spawnPoint();
+        if (!point) return;
+
+        const types = this.availableTypes();
+        const powerUp = {
+            id: ++this.idCounter,
+            type: types[Math.floor(Math.random() * types.length)],
+            x: point.x,
+            y: point.y,
+            expiresAt: now + LIFETIME
+        };
+
+        this.active.set(powerUp.id, powerUp);
+        this.room.emit('powerUpSpawned', this.serializePowerUp(powerUp, now));
+    }
+
+    apply(powerUp, player, now) {
+        const effect = {id: powerUp.id, type: powerUp.type, playerId: player.id};
+
+        switch (powerUp.type) {
+            case 'star':
+                player.stars = Math.min(MAX_STARS, (player.stars || 0) + 1);
+                effect.stars = player.stars;
+                break;
+            case 'helmet':
+                player.invulnerableUntil = Math.max(player.invulnerableUntil, now + HELMET_DURATION);
+                effect.duration = player.invulnerableUntil - now;
+                break;
+            case 'grenade':
+                effect.affected = this.enemiesOf(player).filter(enemy => now >= enemy.invulnerableUntil).map(enemy => enemy.id);
+                break;
+            case 'shovel':
+                effect.duration = SHOVEL_DURATION;
+                effect.team = player.team;
+                break;
+            case 'timer':
+                effect.affected = this.enemiesOf(player).map(enemy => {
+                    enemy.frozenUntil = now + TIMER_DURATION;
+                    enemy.inputQueue.length = 0;
+                    return enemy.id;
+                });
+                effect.duration = TIMER_DURATION;
+                break;
+            case 'tank':
+                this.room.mode.addLife(player.team);
+                break;
+        }
+
+        log.debug('Power-up recogido', {room: this.room.code, player: player.id, type: powerUp.type});
+        this.room.emit('powerUpCollected', effect);
+
+        // After the announcement so clients see the pickup before the explosions and walls
+        if (powerUp.type === 'grenade') {
+            effect.affected.forEach(id => {
+                const enemy = this.room.players.get(id);
+                this.room.damagePlayer(enemy, enemy.health, now, {playerId: player.id, team: player.team, weapon: 'grenade'});
+            });
+        } else if (powerUp.type === 'shovel') {
+            this.fortifyBase(player.team, now);
+        }
+    }
+
+    enemiesOf(player) {
+        const mode = this.room.mode;
+        return Array.from(this.room.players.values()).filter(other =>
+            other !== player && other.alive && (!mode.teamBased || other.team !== player.team));
+    }
+
+    // Turns the walls around the team's base to steel for a while
+    fortifyBase(team, now) {
+        const base = this.room.mode.bases.find(candidate => candidate.team === team);
+        if (!base) return;
+
+        const existing = this.shovels.find(shovel => shovel.team === team);
+        if (existing) {
+            existing.endsAt = now + SHOVEL_DURATION;
+            this.setWalls(existing.tiles.filter(tile => !this.tankOnTile(tile.col, tile.row)), TILE.STEEL, now);
+            return;
+        }
+
+        const terrain = this.room.terrain;
+        const tiles = [];
+        for (let row = base.row - 1; row <= base.row + 1; row++) {
+            for (let col = base.col - 1; col <= base.col + 1; col++) {
+                if (!terrain.inBounds(col, row) || (col === base.col && row === base.row)) continue;
+                const type = terrain.getType(col, row);
+                if (type !== TILE.BRICK && type !== TILE.EMPTY) continue;
+                if (this.tankOnTile(col, row)) continue; // don't wall anyone in, even half of a tank
+                tiles.push({col, row});
+            }
+        }
+
+        this.shovels.push({team, tiles, endsAt: now + SHOVEL_DURATION});
+        this.setWalls(tiles, TILE.STEEL, now);
+    }
+
+    // Whether any tank's collision box overlaps the tile, with the same box and edges as Terrain.blocksTank
+    tankOnTile(col, row) {
+        const size = this.room.terrain.tileSize;
+        const half = Movement.TANK_HALF_SIZE;
+        const left = col * size;
+        const top = row * size;
+        return Array.from(this.room.players.values()).some(player => player.alive &&
+            player.x + half > left && player.x - half < left + size &&
+            player.y + half > top && player.y - half < top + size);
+    }
+
+    setWalls(tiles, type, now) {
+        const changes = tiles.map(tile => this.room.terrain.setTile(tile.col, tile.row, type, Terrain.FULL_MASK));
+        if (changes.length > 0) {
+            this.room.emit('terrainChanged', {changes, t: now});
+        }
+    }
+
+    serializePowerUp(powerUp, now) {
+        return {
+            id: powerUp.id,
+            type: powerUp.type,
+            x: powerUp.x,
+            y: powerUp.y,
+            expiresIn: Math.max(0, powerUp.expiresAt - now)
+        };
+    }
+
+    serialize(now) {
+        return {
+            items: Array.from(this.active.values()).map(powerUp => this.serializePowerUp(powerUp, now)),
+            shovels: this.shovels.map(shovel => ({team: shovel.team, endsIn: Math.max(0, shovel.endsAt - now)}))
+        };
+    }
+}
+
+module.exports = {PowerUpManager, bulletStats, TYPES};
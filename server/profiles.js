@@ -0,0 +1,122 @@
+// Lifetime player stats, kept in an append-only JSON lines file: one full profile per line, last one wins
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {readJsonLines} = require('./jsonl');
+const {createLogger} = require('./log');
+
+const log = createLogger('server');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const PROFILES_FILE = path.join(DATA_DIR, 'profiles.jsonl');
+
+// Clients keep a secret key; only its hash is stored or shown, so a public id can't be used to play as someone else
+const KEY_PATTERN = /^[a-f0-9]{32}$/;
+const ID_LENGTH = 16;
+
+const SORT_FIELDS = ['wins', 'kills', 'kd', 'matches', 'timePlayed'];
+const DEFAULT_LEADERBOARD_SIZE = 20;
+const MAX_LEADERBOARD_SIZE = 100;
+
+function profileIdFor(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) return null;
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, ID_LENGTH);
+}
+
+function killDeathRatio(profile) {
+    return profile.deaths > 0 ? Math.round(profile.kills / profile.deaths * 100) / 100 : profile.kills;
+}
+
+class ProfileStore {
+    constructor(file = PROFILES_FILE) {
+        this.file = file;
+        this.profiles = new Map();
+        this.load();
+        this.out = fs.createWriteStream(this.file, {flags: 'a'});
+        this.out.on('error', (error) => {
+            log.error('Error guardando perfiles', {file: this.file, error});
+        });
+    }
+
+    // Replays the log, then rewrites it with one line per profile if it has grown with old versions
+    load() {
+        fs.mkdirSync(path.dirname(this.file), {recursive: true});
+        if (!fs.existsSync(this.file)) return;
+
+        let skipped = 0;
+        const entries = readJsonLines(this.file, line => {
+            skipped++;
+            log.warn('Línea de perfil ignorada', {file: this.file, line});
+        });
+        entries.forEach(profile => {
+            if (profile && typeof profile.id === 'string') this.profiles.set(profile.id, profile);
+        });
+
+        if (entries.length + skipped > this.profiles.size) {
+            const tmp = `${this.file}.tmp`;
+            fs.writeFileSync(tmp, Array.from(this.profiles.values()).map(p => JSON.stringify(p) + '\n').join(''));
+            fs.renameSync(tmp, this.file);
+        }
+
+        log.info('Perfiles cargados', {count: this.profiles.size});
+    }
+
+    get(id) {
+        return this.profiles.get(id) || null;
+    }
+
+    // Adds what a player earned to their profile, creating it on first use
+    record(id, {name, matches = 0, wins = 0, kills = 0, deaths = 0, assists = 0, timePlayed = 0}, now = Date.now()) {
+        let profile = this.profiles.get(id);
+        if (!profile) {
+            profile = {id, name, matches: 0, wins: 0, kills: 0, deaths: 0, assists: 0, timePlayed: 0, createdAt: now, lastSeen: now};
+            this.profiles.set(id, profile);
+        }
+
+        profile.name = name;
+        profile.matches += matches;
+        profile.wins += wins;
+        profile.kills += kills;
+        profile.deaths += deaths;
+        profile.assists += assists;
+        profile.timePlayed += timePlayed;
+        profile.lastSeen = now;
+
+        this.out.write(JSON.stringify(profile) + '\n');
+        return profile;
+    }
+
+    serialize(profile) {
+        return {
+            id: profile.id,
+            name: profile.name,
+            matches: profile.matches,
+            wins: profile.wins,
+            kills: profile.kills,
+            deaths: profile.deaths,
+            assists: profile.assists,
+            kd: killDeathRatio(profile),
+            timePlayed: Math.round(profile.timePlayed / 1000), // seconds
+            createdAt: new Date(profile.createdAt).toISOString(),
+            lastSeen: new Date(profile.lastSeen).toISOString()
+        };
+    }
+
+    leaderboard({sort, limit} = {}) {
+        const field = SORT_FIELDS.includes(sort) ? sort : 'wins';
+        const size = Math.max(1, Math.min(MAX_LEADERBOARD_SIZE, parseInt(limit, 10) || DEFAULT_LEADERBOARD_SIZE));
+
+        return Array.from(this.profiles.values())
+            .filter(profile => profile.timePlayed > 0)
+            .map(profile => this.serialize(profile))
+            .sort((a, b) => (b[field] - a[field]) || (b.kd - a.kd) || (b.timePlayed - a.timePlayed))
+            .slice(0, size)
+            .map((profile, i) => ({rank: i + 1, ...profile}));
+    }
+
+    close() {
+        this.out.end();
+    }
+}
+
+module.exports = {ProfileStore, profileIdFor, SORT_FIELDS};
@@ -0,0 +1,98 @@
+// Optional match recordings: the starting state, then every input, broadcast event and world snapshot.
+// One gzipped JSON line per entry, {t, type, data}, with t in server ms; finished matches are listed in an index
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const {readJsonLines} = require('./jsonl');
+const {createLogger} = require('./log');
+
+const log = createLogger('game');
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '../recordings');
+const INDEX_FILE = path.join(RECORDINGS_DIR, 'index.jsonl');
+const ID_PATTERN = /^[\w-]+$/;
+const MAX_LISTED = 100;
+
+function recordingEnabled() {
+    return process.env.RECORD_MATCHES === '1';
+}
+
+function recordingFile(id) {
+    return path.join(RECORDINGS_DIR, `${id}.jsonl.gz`);
+}
+
+// Path of a finished recording, or null; ids come from URLs so they never leave the directory
+function recordingPath(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+    const file = recordingFile(id);
+    return fs.existsSync(file) ? file : null;
+}
+
+// Newest first; entries whose file has been deleted are skipped
+function listRecordings() {
+    return readJsonLines(INDEX_FILE)
+        .filter(recording => fs.existsSync(recordingFile(recording.id)))
+        .reverse()
+        .slice(0, MAX_LISTED);
+}
+
+class MatchRecorder {
+    // header is what a spectator joining at the start of the match would receive
+    constructor(room, header, now) {
+        const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+        this.id = `${stamp}-${room.code}-${room.match.id}`;
+        this.summary = {
+            id: this.id,
+            room: room.code,
+            roomName: room.name,
+            map: room.map.name,
+            mode: room.mode.name,
+            startedAt: new Date(now).toISOString()
+        };
+        this.startedAt = now;
+        this.lastSnapshot = null; // snapshots are stored as deltas against the previous one
+
+        fs.mkdirSync(RECORDINGS_DIR, {recursive: true});
+        this.gzip = zlib.createGzip();
+        this.out = fs.createWriteStream(recordingFile(this.id));
+        this.gzip.pipe(this.out);
+        this.out.on('error', (error) => {
+            log.error('Error guardando la grabación', {recording: this.id, error});
+        });
+
+        this.record('header', {version: 1, ...header}, now);
+    }
+
+    record(type, data, now = Date.now()) {
+        this.gzip.write(JSON.stringify({t: now, type, data}) + '\n');
+    }
+
+    snapshot(stream, now) {
+        const {baseline, delta} = stream.deltaFor(this.lastSnapshot);
+        this.lastSnapshot = stream.seq;
+        this.record('snapshot', {seq: stream.seq, t: now, baseline, ack: null, ...delta}, now);
+    }
+
+    // result is the mode's {reason, winner}, or {reason: 'aborted'} when the room closes mid-match
+    finish(result, players, now) {
+        const entry = {
+            ...this.summary,
+            duration: Math.round((now - this.startedAt) / 1000),
+            result,
+            players: players.filter(p => !p.isBot).map(p => p.name)
+        };
+
+        this.record('end', result, now);
+        this.gzip.end();
+
+        // Listed only once the file is complete
+        this.out.on('finish', () => {
+            fs.appendFile(INDEX_FILE, JSON.stringify(entry) + '\n', (error) => {
+                if (error) log.error('Error actualizando el índice de grabaciones', {error});
+            });
+            log.info('Grabación guardada', {recording: this.id});
+        });
+    }
+}
+
+module.exports = {MatchRecorder, recordingEnabled, recordingPath, listRecordings};
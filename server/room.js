@@ -0,0 +1,852 @@
+// A match room: its own players, bullets, map rotation and game loop
+const crypto = require('crypto');
+const Terrain = require('../shared/terrain');
+const Movement = require('../shared/movement');
+const {MapRotation} = require('./maps');
+const {SnapshotStream} = require('./snapshots');
+const {createMode} = require('./modes');
+const {BotController} = require('./bots');
+const {PowerUpManager, bulletStats} = require('./powerups');
+const {MatchStats} = require('./stats');
+const {DEFAULT_SKIN, randomColor} = require('./identity');
+const {MatchRecorder, recordingEnabled} = require('./recorder');
+const {Chat} = require('./chat');
+const {config, clientConfig} = require('./config');
+const {SpatialGrid} = require('./spatial');
+const {metrics} = require('./metrics');
+const {createLogger} = require('./log');
+
+const log = createLogger('game');
+const audioLog = createLogger('audio');
+
+// Match lifecycle: play a map until the mode's time or score limit, show results, then load the next map
+const INTERMISSION = 8000;
+
+// Combat settings
+const MAX_HEALTH = 100;
+const RESPAWN_DELAY = 3000; // ms dead before respawning
+const SPAWN_INVULNERABILITY = 2000; // ms of protection after (re)spawning
+const SAFE_SPAWN_DISTANCE = 150; // preferred clearance from other tanks
+const BULLET_HIT_RADIUS = 20; // bullet to tank center
+
+// A dropped player's tank waits this long for them to reconnect with their resume token
+const RESUME_GRACE = 30 * 1000;
+
+// Input handling: clients send commands, the server moves tanks at a fixed tick
+const TICK_RATE = Movement.TICK_RATE;
+const MAX_QUEUED_INPUTS = 10; // anything beyond this is a flood (or a speed hack) and is dropped
+const CATCH_UP_THRESHOLD = 4; // with this many queued, process two per tick to absorb jitter
+
+// World snapshots replace per-move and per-bullet broadcasts
+const SNAPSHOT_RATE = 20;
+const TICKS_PER_SNAPSHOT = TICK_RATE / SNAPSHOT_RATE;
+
+// Normalizes a client command; returns null for anything malformed
+function sanitizeInput(data) {
+    if (!data || !Number.isInteger(data.seq) || data.seq < 1) return null;
+
+    const dx = Number(data.dx);
+    const dy = Number(data.dy);
+    if (!Number.isFinite(dx) || !Number.isFinite(dy)) return null;
+
+    return {
+        seq: data.seq,
+        dx: Math.max(-1, Math.min(1, dx)),
+        dy: Math.max(-1, Math.min(1, dy)),
+        fire: data.fire === true
+    };
+}
+
+function serializeMap(map) {
+    return {
+        id: map.id,
+        name: map.name,
+        width: map.width,
+        height: map.height,
+        tileSize: map.tileSize
+    };
+}
+
+class Room {
+    constructor(io, {code, name, isPublic, modeId, friendlyFire, bots, botDifficulty, playlist, profiles}) {
+        this.io = io;
+        this.code = code;
+        this.name = name;
+        this.isPublic = isPublic;
+        this.modeId = modeId;
+        this.friendlyFire = friendlyFire;
+        this.channel = `room:${code}`;
+        // Spectators only talk among themselves, by chat and by voice, so they can't call out positions
+        this.spectatorChannel = `room:${code}:spectators`;
+        this.createdAt = Date.now();
+        this.emptySince = this.createdAt;
+
+        this.players = new Map();
+        this.tankGrid = new SpatialGrid(); // every tank, refiled whenever it spawns or moves
+        this.spectators = new Map(); // socket id -> {id, name, snapshotAck}; no tank and no slot
+        this.bullets = new Map();
+        this.map = null;
+        this.terrain = null;
+        this.match = null;
+        this.mode = null;
+
+        this.bots = new BotController(this, {mode: bots, difficulty: botDifficulty});
+        this.powerUps = new PowerUpManager(this);
+        this.stats = new MatchStats();
+        this.profiles = profiles || null;
+        this.savedStats = new Map(); // player id -> counters already added to their profile this match
+        this.mapRotation = new MapRotation(playlist);
+        this.snapshots = new SnapshotStream();
+        this.recorder = null; // only with RECORD_MATCHES=1, and only while a match is being played
+        this.chat = new Chat(this);
+        this.matchIdCounter = 0;
+        this.bulletIdCounter = 0;
+        this.tickCount = 0;
+        this.loop = null;
+    }
+
+    start() {
+        this.startMatch(Date.now());
+        this.loop = setInterval(() => {
+            const started = process.hrtime.bigint();
+            this.tick(Date.now());
+            metrics.tickDuration.observe(Number(process.hrtime.bigint() - started) / 1e9);
+        }, 1000 / TICK_RATE);
+    }
+
+    stop() {
+        clearInterval(this.loop);
+        this.loop = null;
+
+        if (this.recorder) {
+            this.recorder.finish({reason: 'aborted', winner: null}, Array.from(this.players.values()), Date.now());
+            this.recorder = null;
+        }
+    }
+
+    emit(event, data) {
+        this.io.to(this.channel).emit(event, data);
+        this.record(event, data);
+    }
+
+    // Broadcasts sent some other way (to everyone but one socket) still go into the recording
+    record(event, data) {
+        if (this.recorder) this.recorder.record(event, data);
+    }
+
+    summary() {
+        return {
+            code: this.code,
+            name: this.name,
+            isPublic: this.isPublic,
+            players: this.humanCount(),
+            bots: this.players.size - this.humanCount(),
+            spectators: this.spectators.size,
+            map: this.map.name,
+            mode: this.mode.name,
+            friendlyFire: this.friendlyFire,
+            match: this.serializeMatch(Date.now())
+        };
+    }
+
+    // Players
+
+    createPlayer(id, name, transport, now) {
+        return {
+            id,
+            x: 0,
+            y: 0,
+            angle: 0,
+            color: null, // set by the mode: team color, or ownColor without teams
+            ownColor: randomColor(),
+            skin: DEFAULT_SKIN,
+            name,
+            health: MAX_HEALTH,
+            vx: 0,
+            vy: 0,
+            alive: false,
+            respawnAt: 0,
+            invulnerableUntil: 0,
+            frozenUntil: 0, // timer power-up
+            stars: 0, // star power-ups, lost on death
+            speed: config.tankSpeed,
+            team: null,
+            socketId: null, // null for bots and while disconnected
+            resumeToken: null,
+            disconnectedAt: null,
+            profileId: null, // lifetime stats, humans with a profile key only
+            playingSince: now, // start of the time not yet added to the profile
+            inputQueue: [],
+            lastQueuedSeq: 0,
+            lastProcessedSeq: 0,
+            snapshotAck: null,
+            audioEnabled: false,
+            lastAudioPacket: now,
+            connectedAt: now,
+            transport
+        };
+    }
+
+    humanCount() {
+        let count = 0;
+        this.players.forEach(player => {
+            if (!player.isBot) count++;
+        });
+        return count;
+    }
+
+    addPlayer(socket) {
+        const now = Date.now();
+        const identity = socket.data.identity;
+        const profile = this.profiles ? this.profiles.get(socket.data.profileId) : null;
+        const name = identity ? identity.name : profile ? profile.name : `Tank${Math.floor(Math.random() * 1000)}`;
+        const player = this.createPlayer(socket.id, name, socket.conn.transport.name, now);
+        player.socketId = socket.id;
+        player.resumeToken = crypto.randomBytes(24).toString('hex');
+        player.profileId = socket.data.profileId || null;
+        player.ip = socket.handshake.address;
+        if (identity) {
+            player.ownColor = identity.color;
+            player.skin = identity.skin;
+        }
+
+        this.mode.assignTeam(player);
+        this.spawnPlayer(player, now);
+        this.players.set(player.id, player);
+        this.emptySince = null;
+
+        socket.join(this.channel);
+        this.sendGameState(socket, player, now);
+
+        // Notify other players
+        socket.to(this.channel).emit('playerJoined', this.serializePlayer(player, now));
+        this.record('playerJoined', this.serializePlayer(player, now));
+
+        return player;
+    }
+
+    // Watchers get the world, snapshots and spectator voice, but never a tank
+    addSpectator(socket) {
+        const name = socket.data.identity ? socket.data.identity.name : 'Espectador';
+        this.spectators.set(socket.id, {id: socket.id, name, snapshotAck: null});
+
+        socket.join(this.channel);
+        socket.join(this.spectatorChannel);
+        this.sendGameState(socket, null, Date.now());
+    }
+
+    removeSpectator(id) {
+        if (!this.spectators.delete(id)) return;
+        this.chat.forget(id);
+
+        this.io.in(id).socketsLeave([this.channel, this.spectatorChannel]);
+        if (this.humanCount() === 0 && this.spectators.size === 0) {
+            this.emptySince = Date.now();
+        }
+    }
+
+    // What a client entering the room needs; player is null for spectators (and recordings)
+    gameState(player, now) {
+        return {
+            room: {code: this.code, name: this.name, isPublic: this.isPublic},
+            you: player ? player.id : null,
+            spectator: !player,
+            resumeToken: player ? player.resumeToken : null,
+            players: Array.from(this.players.values()).map(p => this.serializePlayer(p, now)),
+            bullets: Array.from(this.bullets.values()),
+            map: serializeMap(this.map),
+            terrain: this.terrain.serialize(),
+            match: this.serializeMatch(now),
+            mode: this.mode.serialize(),
+            powerUps: this.powerUps.serialize(now)
+        };
+    }
+
+    // Full state for a client entering (or coming back to) the room
+    sendGameState(socket, player, now) {
+        socket.emit('gameState', {
+            ...this.gameState(player, now),
+            serverInfo: {
+                transport: socket.conn.transport.name,
+                pingInterval: this.io.engine.pingInterval,
+                pingTimeout: this.io.engine.pingTimeout,
+                config: clientConfig()
+            }
+        });
+        this.chat.sendHistory(socket, player);
+    }
+
+    // The connection dropped: the tank stays, idle, until the player resumes or the grace period ends
+    suspendPlayer(player, now) {
+        player.socketId = null;
+        player.disconnectedAt = now;
+        player.inputQueue = [];
+        this.emit('playerConnection', {id: player.id, connected: false});
+    }
+
+    // Same tank, health, score and team on a new socket; the token is replaced so it can't be used twice
+    resumePlayer(player, socket) {
+        const now = Date.now();
+        player.socketId = socket.id;
+        player.disconnectedAt = null;
+        player.resumeToken = crypto.randomBytes(24).toString('hex');
+        player.transport = socket.conn.transport.name;
+        player.ip = socket.handshake.address;
+        player.snapshotAck = null;
+        player.lastActivity = now;
+        // A reloaded page numbers its inputs from 1 again
+        player.inputQueue = [];
+        player.lastQueuedSeq = 0;
+        player.lastProcessedSeq = 0;
+
+        socket.join(this.channel);
+        this.sendGameState(socket, player, now);
+        socket.to(this.channel).emit('playerConnection', {id: player.id, connected: true});
+        this.record('playerConnection', {id: player.id, connected: true});
+    }
+
+    // Settings reloaded on SIGHUP that live on the tanks themselves
+    applyConfig() {
+        this.players.forEach(player => {
+            player.speed = config.tankSpeed;
+        });
+    }
+
+    // Bots have no socket; BotController drives them through the input queue
+    addBot(id, name) {
+        const now = Date.now();
+        const bot = this.createPlayer(id, name, 'bot', now);
+        bot.isBot = true;
+
+        this.mode.assignTeam(bot);
+        this.spawnPlayer(bot, now);
+        this.players.set(bot.id, bot);
+
+        this.emit('playerJoined', this.serializePlayer(bot, now));
+        return bot;
+    }
+
+    removePlayer(id) {
+        const player = this.players.get(id);
+        if (!player) return;
+
+        this.saveProfile(player, Date.now(), null);
+        this.players.delete(id);
+        this.tankGrid.remove(player);
+        this.chat.forget(id);
+        this.mode.onPlayerLeft(player);
+
+        if (player.socketId) {
+            this.io.in(player.socketId).socketsLeave(this.channel);
+        }
+        this.emit('playerLeft', id);
+        if (!player.isBot && this.humanCount() === 0) {
+            this.emptySince = Date.now();
+        }
+    }
+
+    // A new name, color or skin mid-match; team modes keep the team color
+    updateIdentity(player, {name, color, skin}) {
+        player.name = name;
+        player.ownColor = color;
+        player.skin = skin;
+        if (!this.mode.teamBased) player.color = color;
+
+        this.emit('playerUpdated', {id: player.id, name, color: player.color, skin});
+    }
+
+    // Movement and firing commands, applied by the game loop
+    queueInput(player, data) {
+        const input = sanitizeInput(data);
+        if (!input) return;
+
+        // Old or replayed commands are ignored
+        if (input.seq <= player.lastQueuedSeq) return;
+
+        player.lastQueuedSeq = input.seq;
+        player.lastActivity = Date.now();
+        this.record('input', {playerId: player.id, ...input});
+
+        if (player.inputQueue.length >= MAX_QUEUED_INPUTS) {
+            // The next snapshot tells the client where it really is
+            return;
+        }
+        player.inputQueue.push(input);
+    }
+
+    // Snapshot acknowledgements pick the baseline for the next delta
+    // Works for players and spectators alike; clients ack on arrival, so the wait is a real round trip
+    acknowledgeSnapshot(viewer, seq, now = Date.now()) {
+        if (this.snapshots.isValidAck(seq) && (viewer.snapshotAck === null || seq > viewer.snapshotAck)) {
+            viewer.snapshotAck = seq;
+            const sentAt = this.snapshots.sentAt(seq);
+            if (sentAt !== null) metrics.latency.observe(now - sentAt, now);
+        }
+    }
+
+    // Socket ids of connected players within radius
+    getNearbyPlayers(player, radius) {
+        const nearbyPlayers = [];
+        this.tankGrid.query(player.x, player.y, radius).forEach(otherPlayer => {
+            if (otherPlayer.id !== player.id && otherPlayer.socketId) {
+                const distance = Math.hypot(player.x - otherPlayer.x, player.y - otherPlayer.y);
+                if (distance <= radius) {
+                    nearbyPlayers.push(otherPlayer.socketId);
+                }
+            }
+        });
+        return nearbyPlayers;
+    }
+
+    // Client-facing view of a player; timers are sent as remaining ms since clocks differ
+    serializePlayer(player, now) {
+        return {
+            id: player.id,
+            x: player.x,
+            y: player.y,
+            angle: player.angle,
+            color: player.color,
+            skin: player.skin,
+            name: player.name,
+            team: player.team,
+            isBot: player.isBot === true,
+            connected: player.disconnectedAt === null,
+            health: player.health,
+            alive: player.alive,
+            respawnIn: player.alive ? 0 : Math.max(0, player.respawnAt - now),
+            invulnerableFor: Math.max(0, player.invulnerableUntil - now),
+            frozenFor: Math.max(0, player.frozenUntil - now),
+            stars: player.stars
+        };
+    }
+
+    // Pick one of the player's spawn points away from living tanks, randomly among the safe ones
+    findSpawnPoint(player) {
+        const candidates = this.mode.spawnsFor(player).map(spawn => {
+            let clearance = Infinity;
+            this.players.forEach((other) => {
+                if (other.id === player.id || !other.alive) return;
+                const distance = Math.hypot(spawn.x - other.x, spawn.y - other.y);
+                clearance = Math.min(clearance, distance);
+            });
+            return {spawn, clearance};
+        });
+
+        const safe = candidates.filter(candidate => candidate.clearance >= SAFE_SPAWN_DISTANCE);
+        if (safe.length > 0) {
+            return safe[Math.floor(Math.random() * safe.length)].spawn;
+        }
+
+        return candidates.reduce((best, candidate) => candidate.clearance > best.clearance ? candidate : best).spawn;
+    }
+
+    spawnPlayer(player, now) {
+        const spawn = this.findSpawnPoint(player);
+        player.x = spawn.x;
+        player.y = spawn.y;
+        player.angle = 0;
+        player.vx = 0;
+        player.vy = 0;
+        player.health = MAX_HEALTH;
+        player.alive = true;
+        player.respawnAt = 0;
+        player.invulnerableUntil = now + SPAWN_INVULNERABILITY;
+        player.frozenUntil = 0;
+        player.stars = 0;
+        this.tankGrid.update(player);
+    }
+
+    // source is whatever did the damage: a bullet, or {playerId, team, weapon} for power-ups
+    damagePlayer(player, damage, now, source) {
+        const attacker = source ? this.players.get(source.playerId) : null;
+        const dealt = Math.min(damage, player.health);
+        player.health -= dealt;
+        this.emit('playerDamaged', {id: player.id, damage, health: player.health, by: source ? source.playerId : null});
+
+        // Team kills are shown in the feed but count for nothing: no kill, no assist, no damage dealt
+        const teamKill = attacker && this.mode.teamBased && attacker.team === player.team;
+
+        // Overkill doesn't count as damage dealt
+        if (attacker && attacker !== player && !teamKill) {
+            this.stats.damage(attacker, player, dealt, now);
+        }
+
+        if (player.health === 0) {
+            player.alive = false;
+
+            const assists = this.stats.killed(player, teamKill ? null : attacker, now, {attacker, teamBased: this.mode.teamBased});
+            this.emit('killed', {
+                killer: attacker ? attacker.id : null,
+                killerName: attacker ? attacker.name : null,
+                victim: player.id,
+                victimName: player.name,
+                weapon: source ? source.weapon : null,
+                assists,
+                teamKill: Boolean(teamKill)
+            });
+
+            // Out of lives: the tank stays dead until the next match
+            const canRespawn = this.mode.onPlayerKilled(player, source, now);
+            player.respawnAt = canRespawn ? now + RESPAWN_DELAY : 0;
+            this.emit('playerDied', {id: player.id, respawnIn: canRespawn ? RESPAWN_DELAY : null});
+            log.debug('Tanque destruido', {room: this.code, player: player.id, by: attacker ? attacker.id : null});
+        }
+    }
+
+    respawnPlayer(player, now) {
+        this.spawnPlayer(player, now);
+        this.emit('playerRespawned', this.serializePlayer(player, now));
+    }
+
+    respawnDuePlayers(now) {
+        this.players.forEach((player) => {
+            if (!player.alive && player.respawnAt && now >= player.respawnAt) {
+                this.respawnPlayer(player, now);
+            }
+        });
+    }
+
+    // Bullets
+
+    tryShoot(player, now) {
+        if (!player.alive || this.match.state !== 'playing') return;
+
+        // Rate limiting
+        if (player.lastShoot && now - player.lastShoot <= config.fireInterval) return;
+        player.lastShoot = now;
+
+        this.stats.shotFired(player);
+
+        const {speed, power} = bulletStats(player.stars);
+        const bullet = {
+            id: this.bulletIdCounter++,
+            playerId: player.id,
+            team: player.team,
+            x: player.x,
+            y: player.y,
+            originX: player.x, // clients replay the straight trajectory from here
+            originY: player.y,
+            angle: player.angle,
+            speed,
+            power, // 2+ breaks steel
+            weapon: power >= 2 ? 'heavyCannon' : 'cannon',
+            createdAt: now
+        };
+
+        this.bullets.set(bullet.id, bullet);
+
+        // Auto-remove bullet
+        setTimeout(() => {
+            if (this.bullets.get(bullet.id) === bullet) {
+                this.destroyBullet(bullet.id, Date.now());
+            }
+        }, config.bulletLifetime);
+    }
+
+    destroyBullet(id, now) {
+        this.bullets.delete(id);
+        this.snapshots.bulletDestroyed(id, now);
+    }
+
+    updateBullets(now) {
+        this.bullets.forEach((bullet, id) => {
+            const radians = bullet.angle * Math.PI / 180;
+            bullet.x += Math.cos(radians) * bullet.speed * (1 / TICK_RATE);
+            bullet.y += Math.sin(radians) * bullet.speed * (1 / TICK_RATE);
+            if (bullet.x < 0 || bullet.x > this.map.width || bullet.y < 0 || bullet.y > this.map.height) {
+                this.destroyBullet(id, now);
+                return;
+            }
+
+            // Mode objectives (bases) first
+            if (this.mode.bulletHit(bullet, now)) {
+                this.destroyBullet(id, now);
+                return;
+            }
+
+            // Walls stop bullets; bricks (and steel for powered shots) lose the block that was hit
+            const changes = this.terrain.hitByBullet(bullet.x, bullet.y, bullet.power);
+            if (changes) {
+                this.destroyBullet(id, now);
+                if (changes.length > 0) {
+                    this.emit('terrainChanged', {changes, t: now});
+                }
+                return;
+            }
+
+            const player = this.bulletTarget(bullet);
+            if (!player) return;
+
+            this.destroyBullet(id, now);
+
+            const shooter = this.players.get(bullet.playerId);
+            if (shooter) this.stats.shotHit(shooter);
+
+            // Spawn protection absorbs the shot; nothing counts between matches
+            if (now >= player.invulnerableUntil && this.match.state === 'playing') {
+                this.damagePlayer(player, config.bulletDamage, now, bullet);
+            }
+        });
+    }
+
+    // The tank a bullet has just hit, if any; only tanks in the grid cells around it are checked
+    bulletTarget(bullet) {
+        for (const player of this.tankGrid.query(bullet.x, bullet.y, BULLET_HIT_RADIUS)) {
+            if (player.id === bullet.playerId || !player.alive) continue;
+
+            // Teammates are transparent to bullets unless friendly fire is on
+            if (!this.mode.canDamage(bullet, player)) continue;
+
+            if (Math.hypot(bullet.x - player.x, bullet.y - player.y) < BULLET_HIT_RADIUS) return player;
+        }
+        return null;
+    }
+
+    // Living tanks close enough to block this one's next step
+    tanksInReach(player) {
+        const reach = Movement.TANK_HALF_SIZE * 2 + player.speed / TICK_RATE;
+        return this.tankGrid.query(player.x, player.y, reach)
+            .filter(other => other !== player && other.alive);
+    }
+
+    // Drops silent audio streams and players idle for too long
+    cleanupInactive(now) {
+        this.players.forEach((player, playerId) => {
+            // Audio timeout
+            if (player.audioEnabled && (now - player.lastAudioPacket) > 5000) {
+                player.audioEnabled = false;
+                audioLog.debug('Sin audio, se da por cerrado', {room: this.code, player: playerId});
+            }
+
+            // Never came back after disconnecting
+            if (player.disconnectedAt !== null && now - player.disconnectedAt > RESUME_GRACE) {
+                log.info('No ha vuelto a conectar', {room: this.code, player: playerId});
+                this.removePlayer(playerId);
+                return;
+            }
+
+            // Player inactivity timeout
+            if (player.lastActivity && (now - player.lastActivity) > config.idleTimeout) {
+                log.info('Expulsado por inactividad', {room: this.code, player: playerId});
+                this.removePlayer(playerId);
+            }
+        });
+    }
+
+    // Game loop
+
+    tick(now) {
+        this.bots.update(now);
+        this.processInputs(now);
+        this.mode.update(now);
+        this.powerUps.update(now);
+        this.updateBullets(now);
+        this.respawnDuePlayers(now);
+        this.updateMatch(now);
+
+        if (++this.tickCount % TICKS_PER_SNAPSHOT === 0) {
+            this.sendSnapshots(now);
+        }
+    }
+
+    // Runs queued commands through the shared movement step; snapshots acknowledge them
+    processInputs(now) {
+        const dt = 1 / TICK_RATE;
+
+        this.players.forEach((player) => {
+            if (!player.alive) {
+                player.inputQueue.length = 0;
+                return;
+            }
+
+            const count = player.inputQueue.length > CATCH_UP_THRESHOLD ? 2 : 1;
+            const inputs = player.inputQueue.splice(0, count);
+
+            // Frozen by a timer power-up: commands are acknowledged but do nothing
+            if (now < player.frozenUntil) {
+                if (inputs.length > 0) player.lastProcessedSeq = inputs[inputs.length - 1].seq;
+                player.vx = 0;
+                player.vy = 0;
+                return;
+            }
+
+            if (inputs.length === 0) {
+                // No command this tick, but a tank sliding on ice keeps going
+                if (!Movement.isMoving(player)) return;
+                Movement.stepTank(player, {dx: 0, dy: 0}, dt, this.terrain, this.map, this.tanksInReach(player));
+                this.tankGrid.update(player);
+            }
+
+            inputs.forEach((input) => {
+                Movement.stepTank(player, input, dt, this.terrain, this.map, this.tanksInReach(player));
+                this.tankGrid.update(player);
+                if (input.fire) this.tryShoot(player, now);
+                player.lastProcessedSeq = input.seq;
+            });
+        });
+    }
+
+    // One snapshot per client: the world delta plus its own authoritative state for reconciliation
+    sendSnapshots(now) {
+        const seq = this.snapshots.capture(this.players, this.bullets, now);
+        if (this.recorder) this.recorder.snapshot(this.snapshots, now);
+
+        this.players.forEach((player) => {
+            if (!player.socketId) return;
+
+            const {baseline, delta} = this.snapshots.deltaFor(player.snapshotAck);
+
+            this.io.to(player.socketId).emit('snapshot', {
+                seq,
+                t: now,
+                baseline,
+                ack: {
+                    seq: player.lastProcessedSeq,
+                    x: player.x,
+                    y: player.y,
+                    angle: player.angle,
+                    vx: player.vx,
+                    vy: player.vy
+                },
+                ...delta
+            });
+        });
+
+        // Spectators have nothing to reconcile
+        this.spectators.forEach((spectator) => {
+            const {baseline, delta} = this.snapshots.deltaFor(spectator.snapshotAck);
+            this.io.to(spectator.id).emit('snapshot', {seq, t: now, baseline, ack: null, ...delta});
+        });
+    }
+
+    // Match lifecycle
+
+    serializeMatch(now) {
+        const match = this.match;
+        return {
+            id: match.id,
+            state: match.state,
+            remaining: Math.max(0, (match.state === 'playing' ? match.endsAt : match.nextMapAt) - now)
+        };
+    }
+
+    startMatch(now, map = this.mapRotation.next()) {
+        this.map = map;
+        this.terrain = Terrain.fromRows(map.tiles, map.tileSize);
+        this.bullets.clear();
+        this.stats = new MatchStats();
+        this.savedStats.clear();
+        this.mode = createMode(this.modeId, this);
+        this.mode.setup(now);
+        this.match = {
+            id: ++this.matchIdCounter,
+            state: 'playing',
+            startedAt: now,
+            endsAt: now + this.mode.timeLimit,
+            nextMapAt: 0
+        };
+
+        this.players.forEach(player => {
+            player.playingSince = now;
+            this.spawnPlayer(player, now);
+        });
+        this.bots.onMatchStart(now);
+        this.powerUps.reset(now);
+
+        if (recordingEnabled()) {
+            this.recorder = new MatchRecorder(this, this.gameState(null, now), now);
+        }
+
+        log.info('Partida empezada', {room: this.code, match: this.match.id, map: map.id, mode: this.modeId});
+    }
+
+    endMatch(now, result) {
+        const scoreboard = this.stats.serialize(this.players);
+        this.players.forEach(player => this.saveProfile(player, now, {won: this.isWinner(player, result, scoreboard)}));
+
+        this.match.state = 'intermission';
+        this.match.nextMapAt = now + INTERMISSION;
+
+        log.info('Partida terminada', {room: this.code, match: this.match.id, reason: result.reason, winner: result.winner || null});
+
+        this.emit('matchEnded', {
+            reason: result.reason,
+            winner: result.winner,
+            scoreboard,
+            nextMap: this.mapRotation.peek().name,
+            intermission: INTERMISSION
+        });
+
+        if (this.recorder) {
+            this.recorder.finish(result, Array.from(this.players.values()), now);
+            this.recorder = null;
+        }
+    }
+
+    // Admin override: start over right away, on another map and/or mode, without waiting for the match to end
+    restartMatch(now, {map, modeId}) {
+        if (modeId) this.modeId = modeId;
+        if (this.recorder) {
+            this.recorder.finish({reason: 'aborted', winner: null}, Array.from(this.players.values()), now);
+            this.recorder = null;
+        }
+
+        this.startMatch(now, map || this.mapRotation.next());
+        this.announceMatch(now);
+    }
+
+    // Everyone in the room switches to the match that just started
+    announceMatch(now) {
+        this.emit('mapLoaded', {
+            map: serializeMap(this.map),
+            terrain: this.terrain.serialize(),
+            match: this.serializeMatch(now),
+            mode: this.mode.serialize(),
+            powerUps: this.powerUps.serialize(now),
+            players: Array.from(this.players.values()).map(p => this.serializePlayer(p, now))
+        });
+    }
+
+    // Team modes name a winning team; without teams the top of the scoreboard wins
+    isWinner(player, result, scoreboard) {
+        if (this.mode.teamBased) {
+            return result.winner !== null && player.team === result.winner;
+        }
+        return scoreboard.length > 0 && scoreboard[0].id === player.id && scoreboard[0].kills > 0;
+    }
+
+    // Adds to the player's profile what they earned since the last save; outcome is set when the match ends
+    saveProfile(player, now, outcome) {
+        if (!this.profiles || !player.profileId || player.isBot) return;
+
+        const line = this.stats.line(player);
+        const saved = this.savedStats.get(player.id) || {kills: 0, deaths: 0, assists: 0};
+
+        this.profiles.record(player.profileId, {
+            name: player.name,
+            matches: outcome ? 1 : 0,
+            wins: outcome && outcome.won ? 1 : 0,
+            kills: line.kills - saved.kills,
+            deaths: line.deaths - saved.deaths,
+            assists: line.assists - saved.assists,
+            timePlayed: this.match.state === 'playing' ? now - player.playingSince : 0
+        }, now);
+
+        this.savedStats.set(player.id, {kills: line.kills, deaths: line.deaths, assists: line.assists});
+        player.playingSince = now;
+    }
+
+    updateMatch(now) {
+        const match = this.match;
+
+        if (match.state === 'playing') {
+            const result = this.mode.checkEnd(now) || (now >= match.endsAt ? this.mode.timeLimitResult() : null);
+            if (result) this.endMatch(now, result);
+        } else if (match.state === 'intermission' && now >= match.nextMapAt) {
+            this.startMatch(now);
+            this.announceMatch(now);
+        }
+    }
+}
+
+module.exports = {Room};
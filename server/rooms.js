@@ -0,0 +1,143 @@
+// Match rooms by join code; empty rooms are closed after a grace period
+const {Room} = require('./room');
+const {DEFAULT_MODE, isModeId} = require('./modes');
+const {createLogger} = require('./log');
+
+const log = createLogger('game');
+
+// No 0/O or 1/I so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+const MAX_ROOMS = 50;
+const MAX_PLAYERS_PER_ROOM = 32;
+const MAX_NAME_LENGTH = 32;
+const EMPTY_ROOM_TTL = 60 * 1000; // ms an empty room stays open so its link keeps working
+
+class RoomError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoomError';
+    }
+}
+
+function generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+function normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+class RoomManager {
+    // playlist: the maps in rotation order, loaded and validated once by loadMaps()
+    constructor(io, playlist, profiles) {
+        this.io = io;
+        this.playlist = playlist;
+        this.profiles = profiles;
+        this.rooms = new Map();
+    }
+
+    create({name, isPublic, mode, friendlyFire, bots, botDifficulty} = {}) {
+        if (this.rooms.size >= MAX_ROOMS) {
+            throw new RoomError('No hay sitio para más salas');
+        }
+
+        let code;
+        do {
+            code = generateCode();
+        } while (this.rooms.has(code));
+
+        const room = new Room(this.io, {
+            code,
+            name: (typeof name === 'string' && name.trim().slice(0, MAX_NAME_LENGTH)) || `Sala ${code}`,
+            isPublic: isPublic !== false,
+            modeId: isModeId(mode) ? mode : DEFAULT_MODE,
+            friendlyFire: friendlyFire === true,
+            bots,
+            botDifficulty,
+            playlist: this.playlist,
+            profiles: this.profiles
+        });
+
+        this.rooms.set(code, room);
+        room.start();
+
+        log.info('Sala creada', {room: code, public: room.isPublic, mode: room.modeId});
+        return room;
+    }
+
+    get(code) {
+        return this.rooms.get(normalizeCode(code)) || null;
+    }
+
+    // The room with this code, or a RoomError
+    find(code) {
+        const room = this.get(code);
+        if (!room) {
+            throw new RoomError('Sala no encontrada');
+        }
+        return room;
+    }
+
+    // The room a socket may join, or a RoomError saying why not
+    joinable(code) {
+        const room = this.find(code);
+        if (room.humanCount() >= MAX_PLAYERS_PER_ROOM) {
+            throw new RoomError('La sala está llena');
+        }
+        return room;
+    }
+
+    // Public room with the most players that still has space; a new one, topped up with bots, if none
+    quickMatch() {
+        const open = Array.from(this.rooms.values())
+            .filter(room => room.isPublic && room.humanCount() < MAX_PLAYERS_PER_ROOM)
+            .sort((a, b) => b.humanCount() - a.humanCount());
+
+        return open[0] || this.create({bots: 'fill'});
+    }
+
+    listPublic() {
+        return Array.from(this.rooms.values())
+            .filter(room => room.isPublic)
+            .map(room => ({...room.summary(), maxPlayers: MAX_PLAYERS_PER_ROOM}));
+    }
+
+    playerCount() {
+        let count = 0;
+        this.rooms.forEach(room => {
+            count += room.humanCount();
+        });
+        return count;
+    }
+
+    // First player anywhere matching the predicate, with their room
+    findPlayer(predicate) {
+        for (const room of this.rooms.values()) {
+            for (const player of room.players.values()) {
+                if (predicate(player)) return {room, player};
+            }
+        }
+        return null;
+    }
+
+    forEach(callback) {
+        this.rooms.forEach(callback);
+    }
+
+    cleanup(now) {
+        this.rooms.forEach((room, code) => {
+            if (room.humanCount() === 0 && room.spectators.size === 0 && now - room.emptySince > EMPTY_ROOM_TTL) {
+                room.stop();
+                this.rooms.delete(code);
+                log.info('Sala cerrada por estar vacía', {room: code});
+            }
+        });
+    }
+}
+
+module.exports = {RoomError, RoomManager, MAX_PLAYERS_PER_ROOM};
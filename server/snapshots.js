@@ -0,0 +1,85 @@
+// Fixed-rate world snapshots, delta-encoded against what each client last acknowledged
+const SnapshotDelta = require('../shared/snapshot');
+
+const HISTORY_SIZE = 32; // ~1.6 s at 20 Hz; older acks fall back to a full snapshot
+const BULLET_END_MEMORY = 2000; // ms a destroyed bullet's end time is kept for late deltas
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+class SnapshotStream {
+    constructor() {
+        this.seq = 0;
+        this.history = new Map();
+        this.times = new Map(); // seq -> ms it was captured, for round-trip times
+        this.bulletEnds = new Map();
+    }
+
+    // Remember when a bullet ended so clients can stop it where it hit, not at the next snapshot
+    bulletDestroyed(id, now) {
+        this.bulletEnds.set(String(id), now);
+    }
+
+    capture(players, bullets, now) {
+        const state = SnapshotDelta.emptyState();
+
+        players.forEach((player) => {
+            state.players[player.id] = {
+                x: round(player.x),
+                y: round(player.y),
+                angle: round(player.angle),
+                health: player.health,
+                alive: player.alive
+            };
+        });
+
+        bullets.forEach((bullet) => {
+            state.bullets[bullet.id] = {
+                playerId: bullet.playerId,
+                originX: round(bullet.originX),
+                originY: round(bullet.originY),
+                angle: bullet.angle,
+                speed: bullet.speed,
+                createdAt: bullet.createdAt
+            };
+        });
+
+        this.seq++;
+        this.history.set(this.seq, state);
+        this.history.delete(this.seq - HISTORY_SIZE);
+        this.times.set(this.seq, now);
+        this.times.delete(this.seq - HISTORY_SIZE);
+
+        this.bulletEnds.forEach((t, id) => {
+            if (now - t > BULLET_END_MEMORY) this.bulletEnds.delete(id);
+        });
+
+        return this.seq;
+    }
+
+    // Delta of the latest snapshot against the client's acknowledged one (full if unknown)
+    deltaFor(ackSeq) {
+        const baseline = ackSeq !== null && this.history.has(ackSeq) ? ackSeq : null;
+        const delta = SnapshotDelta.diff(baseline === null ? null : this.history.get(baseline), this.history.get(this.seq));
+
+        if (delta.removed.bullets) {
+            delta.bulletEnds = {};
+            delta.removed.bullets.forEach(id => {
+                if (this.bulletEnds.has(id)) delta.bulletEnds[id] = this.bulletEnds.get(id);
+            });
+        }
+
+        return {baseline, delta};
+    }
+
+    sentAt(seq) {
+        return this.times.has(seq) ? this.times.get(seq) : null;
+    }
+
+    isValidAck(seq) {
+        return Number.isInteger(seq) && seq > 0 && seq <= this.seq;
+    }
+}
+
+module.exports = {SnapshotStream};
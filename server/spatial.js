@@ -0,0 +1,76 @@
+// Uniform grid over the world for "what is near this point" questions: bullet hits, tanks bumping into each other
+// and proximity voice. Terrain is a tile grid of its own, so tank-vs-terrain stays a direct tile lookup
+const DEFAULT_CELL_SIZE = 64; // px; a bit more than two tanks side by side
+
+class SpatialGrid {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> Set of items
+        this.keys = new Map(); // item -> cell key it is filed under
+    }
+
+    // Worlds are at most a few thousand px across, so one number per cell is enough
+    keyFor(x, y) {
+        return Math.floor(x / this.cellSize) * 65536 + Math.floor(y / this.cellSize);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.keys.clear();
+    }
+
+    // Items are anything with x and y
+    insert(item) {
+        const key = this.keyFor(item.x, item.y);
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+        }
+        cell.add(item);
+        this.keys.set(item, key);
+    }
+
+    remove(item) {
+        const key = this.keys.get(item);
+        if (key === undefined) return;
+
+        const cell = this.cells.get(key);
+        cell.delete(item);
+        if (cell.size === 0) this.cells.delete(key);
+        this.keys.delete(item);
+    }
+
+    // After an item moves; cheap when it stays in its cell, which is almost always
+    update(item) {
+        const key = this.keyFor(item.x, item.y);
+        if (this.keys.get(item) === key) return;
+        this.remove(item);
+        this.insert(item);
+    }
+
+    rebuild(items) {
+        this.clear();
+        for (const item of items) this.insert(item);
+    }
+
+    // Items in the cells touching the square around (x, y); callers check the exact distance
+    query(x, y, radius, out = []) {
+        const minCol = Math.floor((x - radius) / this.cellSize);
+        const maxCol = Math.floor((x + radius) / this.cellSize);
+        const minRow = Math.floor((y - radius) / this.cellSize);
+        const maxRow = Math.floor((y + radius) / this.cellSize);
+
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const cell = this.cells.get(col * 65536 + row);
+                if (cell) {
+                    for (const item of cell) out.push(item);
+                }
+            }
+        }
+        return out;
+    }
+}
+
+module.exports = {SpatialGrid};
@@ -0,0 +1,89 @@
+// Per-match combat stats: who hit whom, kills with assists, and shot accuracy
+const ASSIST_WINDOW = 10000; // ms a damaging hit counts toward an assist
+
+class MatchStats {
+    constructor() {
+        this.players = new Map();
+        this.recentDamage = new Map(); // victim id -> Map(attacker id -> last hit time)
+    }
+
+    // Lines are created on first sight and kept after players leave, for the final scoreboard
+    line(player) {
+        let line = this.players.get(player.id);
+        if (!line) {
+            line = {
+                id: player.id,
+                name: player.name,
+                team: player.team,
+                isBot: player.isBot === true,
+                kills: 0,
+                deaths: 0,
+                assists: 0,
+                damageDealt: 0,
+                shotsFired: 0,
+                shotsHit: 0
+            };
+            this.players.set(player.id, line);
+        }
+        line.name = player.name;
+        line.team = player.team;
+        return line;
+    }
+
+    shotFired(player) {
+        this.line(player).shotsFired++;
+    }
+
+    shotHit(player) {
+        this.line(player).shotsHit++;
+    }
+
+    damage(attacker, victim, damage, now) {
+        this.line(attacker).damageDealt += damage;
+
+        if (!this.recentDamage.has(victim.id)) {
+            this.recentDamage.set(victim.id, new Map());
+        }
+        this.recentDamage.get(victim.id).set(attacker.id, now);
+    }
+
+    // Killer is who gets the kill: null for team kills and deaths with no one to credit. Attacker is who
+    // fired the last shot even when it doesn't count; neither they nor the victim's teammates get an assist.
+    // Returns the ids credited with an assist
+    killed(victim, killer, now, {attacker = killer, teamBased = false} = {}) {
+        this.line(victim).deaths++;
+        if (killer && killer !== victim) {
+            this.line(killer).kills++;
+        }
+
+        const damagers = this.recentDamage.get(victim.id) || new Map();
+        this.recentDamage.delete(victim.id);
+
+        const assists = [];
+        damagers.forEach((at, attackerId) => {
+            if ((killer && attackerId === killer.id) || (attacker && attackerId === attacker.id)) return;
+            if (now - at > ASSIST_WINDOW) return;
+
+            const line = this.players.get(attackerId);
+            if (line && !(teamBased && line.team === victim.team)) {
+                line.assists++;
+                assists.push(attackerId);
+            }
+        });
+        return assists;
+    }
+
+    // Everyone in the room gets a line, even with nothing to show yet
+    serialize(players) {
+        players.forEach(player => this.line(player));
+
+        return Array.from(this.players.values())
+            .map(line => ({
+                ...line,
+                accuracy: line.shotsFired > 0 ? Math.round(line.shotsHit / line.shotsFired * 100) : 0
+            }))
+            .sort((a, b) => (b.kills - a.kills) || (a.deaths - b.deaths) || (b.damageDealt - a.damageDealt));
+    }
+}
+
+module.exports = {MatchStats};
@@ -0,0 +1,96 @@
+// Tank movement step shared by the server (authoritative) and the client (prediction)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Movement = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const TANK_SPEED = 150; // px/s
+    const TANK_HALF_SIZE = 14; // collision box used against terrain
+    const EDGE_MARGIN = 20; // how close a tank center may get to the world edge
+    const ICE_GRIP = 0.04; // fraction of the target velocity picked up per step on ice
+    const TICK_RATE = 60;
+
+    function clampAxis(value) {
+        return Math.max(-1, Math.min(1, value));
+    }
+
+    // Another tank in the way at (x, y). Tanks already overlapping (e.g. right after spawning) may still move apart
+    function blockedByTank(tank, x, y, other) {
+        const size = TANK_HALF_SIZE * 2;
+        const overlapsAt = (px, py) => Math.abs(px - other.x) < size && Math.abs(py - other.y) < size;
+        return overlapsAt(x, y) && !overlapsAt(tank.x, tank.y);
+    }
+
+    // Advances a tank ({x, y, angle, vx, vy, speed?}) by one input ({dx, dy} in -1..1).
+    // others are the living tanks close enough to get in the way
+    function stepTank(tank, input, dt, terrain, world, others = []) {
+        let moveX = clampAxis(input.dx);
+        let moveY = clampAxis(input.dy);
+        let targetX = 0;
+        let targetY = 0;
+        const speed = tank.speed || TANK_SPEED;
+
+        if (moveX !== 0 || moveY !== 0) {
+            // Normalize diagonal movement
+            const magnitude = Math.sqrt(moveX * moveX + moveY * moveY);
+            if (magnitude > 1) {
+                moveX /= magnitude;
+                moveY /= magnitude;
+            }
+
+            targetX = moveX * speed;
+            targetY = moveY * speed;
+            tank.angle = Math.atan2(moveY, moveX) * 180 / Math.PI;
+        }
+
+        // On ice the tank keeps its momentum and slides
+        if (terrain.isIce(tank.x, tank.y)) {
+            tank.vx = (tank.vx || 0) + (targetX - (tank.vx || 0)) * ICE_GRIP;
+            tank.vy = (tank.vy || 0) + (targetY - (tank.vy || 0)) * ICE_GRIP;
+        } else {
+            tank.vx = targetX;
+            tank.vy = targetY;
+        }
+
+        if (Math.abs(tank.vx) < 0.5 && Math.abs(tank.vy) < 0.5) {
+            tank.vx = 0;
+            tank.vy = 0;
+            return tank;
+        }
+
+        const newX = Math.max(EDGE_MARGIN, Math.min(world.width - EDGE_MARGIN, tank.x + tank.vx * dt));
+        const newY = Math.max(EDGE_MARGIN, Math.min(world.height - EDGE_MARGIN, tank.y + tank.vy * dt));
+
+        const blocked = (x, y) => terrain.blocksTank(x, y, TANK_HALF_SIZE) ||
+            others.some(other => blockedByTank(tank, x, y, other));
+
+        // One axis at a time so tanks slide along walls
+        if (!blocked(newX, tank.y)) {
+            tank.x = newX;
+        } else {
+            tank.vx = 0;
+        }
+        if (!blocked(tank.x, newY)) {
+            tank.y = newY;
+        } else {
+            tank.vy = 0;
+        }
+
+        return tank;
+    }
+
+    function isMoving(tank) {
+        return (tank.vx || 0) !== 0 || (tank.vy || 0) !== 0;
+    }
+
+    return {
+        TANK_SPEED,
+        TANK_HALF_SIZE,
+        EDGE_MARGIN,
+        TICK_RATE,
+        stepTank,
+        isMoving
+    };
+});
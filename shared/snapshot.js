@@ -0,0 +1,85 @@
+// World snapshot delta encoding shared by the server (diff) and the client (apply)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SnapshotDelta = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Entity collections in a world state: {players: {id: fields}, bullets: {id: fields}}
+    const COLLECTIONS = ['players', 'bullets'];
+
+    function emptyState() {
+        return {players: {}, bullets: {}};
+    }
+
+    // Only the fields that differ from the baseline entity; the whole entity if it is new
+    function diffEntity(base, current) {
+        if (!base) return current;
+
+        let changes = null;
+        Object.keys(current).forEach(key => {
+            if (base[key] !== current[key]) {
+                changes = changes || {};
+                changes[key] = current[key];
+            }
+        });
+        return changes;
+    }
+
+    // Baseline null means a full snapshot
+    function diff(base, current) {
+        base = base || emptyState();
+        const delta = {removed: {}};
+
+        COLLECTIONS.forEach(collection => {
+            const before = base[collection];
+            const after = current[collection];
+            const changed = {};
+            let hasChanges = false;
+
+            Object.keys(after).forEach(id => {
+                const changes = diffEntity(before[id], after[id]);
+                if (changes) {
+                    changed[id] = changes;
+                    hasChanges = true;
+                }
+            });
+
+            const removed = Object.keys(before).filter(id => !(id in after));
+
+            if (hasChanges) delta[collection] = changed;
+            if (removed.length > 0) delta.removed[collection] = removed;
+        });
+
+        return delta;
+    }
+
+    function apply(base, delta) {
+        base = base || emptyState();
+        const state = emptyState();
+
+        COLLECTIONS.forEach(collection => {
+            const removed = new Set((delta.removed && delta.removed[collection]) || []);
+            const changed = delta[collection] || {};
+
+            Object.keys(base[collection]).forEach(id => {
+                if (!removed.has(id)) {
+                    state[collection][id] = base[collection][id];
+                }
+            });
+
+            Object.keys(changed).forEach(id => {
+                state[collection][id] = {...state[collection][id], ...changed[id]};
+            });
+        });
+
+        return state;
+    }
+
+    return {
+        emptyState,
+        diff,
+        apply
+    };
+});
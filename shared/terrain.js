@@ -0,0 +1,199 @@
+// Tile terrain shared by the server (authoritative) and the client (prediction/rendering)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Terrain = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const TILE = {
+        EMPTY: 0,
+        BRICK: 1,
+        STEEL: 2,
+        WATER: 3,
+        TREES: 4,
+        ICE: 5,
+        BASE: 6 // eagle; placed by game modes, not by map symbols
+    };
+
+    // ASCII symbols used by hand-written layouts
+    const SYMBOLS = {
+        '.': TILE.EMPTY,
+        '#': TILE.BRICK,
+        '@': TILE.STEEL,
+        '~': TILE.WATER,
+        '%': TILE.TREES,
+        '-': TILE.ICE
+    };
+
+    // Brick and steel tiles are split into 2x2 blocks: bit 0 top-left, 1 top-right, 2 bottom-left, 3 bottom-right
+    const FULL_MASK = 0b1111;
+
+    class Terrain {
+        constructor({cols, rows, tileSize, types, masks}) {
+            this.cols = cols;
+            this.rows = rows;
+            this.tileSize = tileSize;
+            this.types = types || new Array(cols * rows).fill(TILE.EMPTY);
+            this.masks = masks || this.types.map(type => Terrain.isBlockTile(type) ? FULL_MASK : 0);
+        }
+
+        static fromRows(rows, tileSize) {
+            const types = [];
+            rows.forEach((line, row) => {
+                for (let col = 0; col < rows[0].length; col++) {
+                    const type = SYMBOLS[line[col]];
+                    if (type === undefined) {
+                        throw new Error(`Unknown tile '${line[col]}' at row ${row}, column ${col}`);
+                    }
+                    types.push(type);
+                }
+            });
+            return new Terrain({cols: rows[0].length, rows: rows.length, tileSize, types});
+        }
+
+        static from(data) {
+            return new Terrain({
+                cols: data.cols,
+                rows: data.rows,
+                tileSize: data.tileSize,
+                types: data.types.slice(),
+                masks: data.masks.slice()
+            });
+        }
+
+        static isBlockTile(type) {
+            return type === TILE.BRICK || type === TILE.STEEL;
+        }
+
+        get width() {
+            return this.cols * this.tileSize;
+        }
+
+        get height() {
+            return this.rows * this.tileSize;
+        }
+
+        serialize() {
+            return {
+                cols: this.cols,
+                rows: this.rows,
+                tileSize: this.tileSize,
+                types: this.types.slice(),
+                masks: this.masks.slice()
+            };
+        }
+
+        index(col, row) {
+            return row * this.cols + col;
+        }
+
+        inBounds(col, row) {
+            return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+        }
+
+        getType(col, row) {
+            return this.inBounds(col, row) ? this.types[this.index(col, row)] : TILE.EMPTY;
+        }
+
+        getMask(col, row) {
+            return this.inBounds(col, row) ? this.masks[this.index(col, row)] : 0;
+        }
+
+        setTile(col, row, type, mask) {
+            const i = this.index(col, row);
+            this.types[i] = mask === 0 ? TILE.EMPTY : type;
+            this.masks[i] = Terrain.isBlockTile(this.types[i]) ? mask : 0;
+            return {col, row, type: this.types[i], mask: this.masks[i]};
+        }
+
+        applyChanges(changes) {
+            changes.forEach(change => {
+                if (this.inBounds(change.col, change.row)) {
+                    this.setTile(change.col, change.row, change.type, change.mask);
+                }
+            });
+        }
+
+        tileAt(x, y) {
+            const col = Math.floor(x / this.tileSize);
+            const row = Math.floor(y / this.tileSize);
+            return {col, row, type: this.getType(col, row)};
+        }
+
+        // Solid brick/steel block under a point, or null
+        blockAt(x, y) {
+            const {col, row, type} = this.tileAt(x, y);
+            if (!Terrain.isBlockTile(type)) return null;
+
+            const half = this.tileSize / 2;
+            const bx = x - col * this.tileSize >= half ? 1 : 0;
+            const by = y - row * this.tileSize >= half ? 1 : 0;
+            const bit = 1 << (by * 2 + bx);
+
+            return this.getMask(col, row) & bit ? {col, row, type, bit} : null;
+        }
+
+        // Whether an axis-aligned tank box centered on (x, y) overlaps anything tanks can't cross
+        blocksTank(x, y, halfSize) {
+            const left = x - halfSize;
+            const right = x + halfSize;
+            const top = y - halfSize;
+            const bottom = y + halfSize;
+            const half = this.tileSize / 2;
+
+            const minCol = Math.floor(left / this.tileSize);
+            const maxCol = Math.floor((right - 0.001) / this.tileSize);
+            const minRow = Math.floor(top / this.tileSize);
+            const maxRow = Math.floor((bottom - 0.001) / this.tileSize);
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    const type = this.getType(col, row);
+                    if (type === TILE.WATER || type === TILE.BASE) return true;
+                    if (!Terrain.isBlockTile(type)) continue;
+
+                    const mask = this.getMask(col, row);
+                    for (let b = 0; b < 4; b++) {
+                        if (!(mask & (1 << b))) continue;
+                        const bx = col * this.tileSize + (b % 2) * half;
+                        const by = row * this.tileSize + Math.floor(b / 2) * half;
+                        if (right > bx && left < bx + half && bottom > by && top < by + half) {
+                            return true;
+                        }
+                    }
+                }
+            }
+            return false;
+        }
+
+        isIce(x, y) {
+            return this.tileAt(x, y).type === TILE.ICE;
+        }
+
+        isTrees(x, y) {
+            return this.tileAt(x, y).type === TILE.TREES;
+        }
+
+        // Resolves a bullet at (x, y). Returns null if it flies on, otherwise the tile changes it caused
+        hitByBullet(x, y, power) {
+            if (this.tileAt(x, y).type === TILE.BASE) return [];
+
+            const block = this.blockAt(x, y);
+            if (!block) return null;
+
+            if (block.type === TILE.STEEL && power < 2) {
+                return [];
+            }
+
+            const mask = this.getMask(block.col, block.row) & ~block.bit;
+            return [this.setTile(block.col, block.row, block.type, mask)];
+        }
+    }
+
+    Terrain.TILE = TILE;
+    Terrain.SYMBOLS = SYMBOLS;
+    Terrain.FULL_MASK = FULL_MASK;
+
+    return Terrain;
+});